@@ -14,8 +14,9 @@
  *   --docnum "DOC-001"
  *   --logo "logo.png"
  *   --company "Company Name"
- *   --theme "blue|orange|green"  (accent color theme)
- *   --config "config.yaml"       (config file path, defaults to input.yaml)
+ *   --theme "blue|orange|green"  (built-in theme, or a theme file: --theme "corporate.yaml";
+ *                                relative to the current directory, config file or Markdown file)
+ *   --config "config.yaml"       (config file path, defaults to input.yaml; an explicit file must exist)
  *
  * Config file (YAML):
  *   title: "Product Name"
@@ -27,65 +28,602 @@
  *   docnum: "DOC-001"
  *   logo: "logo.png"
  *   company: "Company Name"
- *   theme: "blue"
+ *   theme: "blue"                (or "themes/corporate.yaml")
+ *   chapters:                    (book mode: one document from several files)
+ *     - "intro.md"
+ *     - "chapters/*.md"
  *
- * Priority: Command line args > Config file > Default values
+ * Book mode: md2mdocx book.yaml book.docx
+ *   Chapter paths/globs are relative to the config file. Each file is parsed
+ *   relative to its own directory and starts on a new page.
+ *
+ * Theme file (YAML): colors, fonts and sizes, on top of a built-in theme or another theme file
+ *   extends: "blue"
+ *   headerBorder: "00205B"
+ *   fonts: { body: "Arial", heading: "Arial" }
+ *   sizes: { body: 21, heading1: 32 }
+ *
+ * Front matter (YAML between --- lines at the top of the Markdown file):
+ *   Cover page, theme, numbering, font, code block and caption keys; removed from the body.
+ *   Network, credential and file system settings are ignored with a warning.
+ *
+ * Priority: Command line args > Front matter > Config file > Default values
  *
  * HTML comment controls:
  *   <!-- md2mdocx:start -->  Start parsing from this line (skip file header)
  *   <!-- md2mdocx:end -->    End parsing at this line (skip file footer)
  *   <!-- md2mdocx:pagebreak --> Page break
  *   <!-- md2mdocx:br -->     Line break
+ *   <!-- md2mdocx:table-widths 20,50,30 -->  Relative column widths of the next table
+ *   <!-- md2mdocx:caption Text {#fig:id} -->  Numbered caption for the next image, table or diagram
  *   <div style="page-break-before:always"></div>  Page break (HTML style)
  *
  * Other options:
  *   --hr-pagebreak true/false  Treat horizontal rules (---) as page breaks (default: true)
+ *   --toc-depth 3              Heading levels shown in the table of contents (1-6)
+ *   --heading-numbering true/false  Number headings automatically (1., 1.1., 1.1.1.)
+ *   --heading-numbering-levels 3    Deepest numbered heading level
+ *   --heading-numbering-format "%1.,%1.%2.,%1.%2.%3."  Number format per level
+ *   --syntax-highlight true/false  Color code block tokens (js/ts, python, bash, json, yaml, sql, xml, java, c#)
+ *   --font-ascii "Arial"       Latin font for body text and headings (overrides the theme)
+ *   --font-east-asia "Meiryo"  Japanese (East Asian) font for body text and headings
+ *   --font-cs "Arial"          Complex script font (Arabic, Hebrew, Thai, ...)
+ *   --embed-fonts "a.ttf,b.ttf"  Embed TrueType fonts in the docx (YAML: list)
+ *   --code-font "Consolas"     Monospace font for code blocks (overrides the theme)
+ *   --code-font-east-asia "MS Gothic"  Japanese font for code blocks (default: body font)
+ *   --code-tab-size 4          Tab width in code blocks
+ *   --code-line-numbers true/false  Show line numbers in code blocks (per block: showLineNumbers / nolinenums)
+ *   --task-checkbox control/glyph  Task list items (- [ ]) as tickable Word checkboxes or plain ☐/☑ glyphs
+ *   --figure-captions true/false  Use image alt text as numbered figure captions
+ *   --figure-label "Figure" / --table-label "Table"  Caption labels (e.g. "図", "表")
+ *   --list-of-figures true/false / --list-of-tables true/false  Add lists after the table of contents
  *   --save-config "config.yaml" Save current settings (including defaults) to YAML file
+ *
+ * Diagram rendering (Kroki):
+ *   --kroki-url "http://localhost:8000"  Kroki base URL (default: https://kroki.io)
+ *   --kroki-timeout 30000                Request timeout in milliseconds
+ *   --kroki-headers "Name: value; ..."   Extra HTTP headers (YAML: mapping)
+ *   --kroki-concurrency 4                Maximum parallel requests
+ *   --kroki-retries 2                    Retries on timeouts, 5xx and transient network errors
+ *   --no-diagrams                        Skip rendering and show diagram source as code
+ *   --diagram-cache ".md2mdocx-cache/diagrams"  Cache directory (relative to input; empty disables)
+ *   --diagram-cache-max-age 90           Delete cache entries unused for N days (0: never)
+ *   --refresh-diagrams                   Re-render diagrams even when cached
+ *
+ * Remote images (https:// and data: URIs):
+ *   --image-cache ".md2mdocx-cache/images"  Cache directory (relative to input; empty disables)
+ *   --image-timeout 30000                Request timeout in milliseconds
+ *   --image-headers "Name: value; ..."   Extra HTTP headers, e.g. for an internal asset server (YAML: mapping)
+ *   --refresh-images                     Download images again even when cached
+ *   --offline                            Never access the network: use cached images and diagrams only
+ *
+ * Programmatic use:
+ *   const { convert } = require('md2mdocx');
+ *   const buffer = await convert({ inputPath: 'manual.md', options: { title: 'MyApp' } });
+ *   Errors are thrown as Md2mdocxError subclasses (UsageError, InputError, ConfigError)
  */
 
 const { Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell, Header, Footer,
         AlignmentType, PageNumber, BorderStyle, WidthType, HeadingLevel, PageBreak,
-        TableOfContents, ShadingType, LevelFormat, ImageRun } = require('docx');
+        TableOfContents, ShadingType, LevelFormat, ImageRun, Bookmark, ExternalHyperlink,
+        InternalHyperlink, BookmarkStart, BookmarkEnd, LevelSuffix, CheckBox,
+        FootnoteReferenceRun, SimpleField } = require('docx');
 const fs = require('fs');
 const path = require('path');
 const YAML = require('yaml');
+const JSZip = require('jszip');
 
 // ===== 設定 =====
 const PAGE_WIDTH = 11906;
 const MARGIN = 1440;
 const CONTENT_WIDTH = PAGE_WIDTH - (MARGIN * 2);
-const tableBorder = { style: BorderStyle.SINGLE, size: 1, color: "000000" };
 
-// ===== テーマカラー設定 =====
+// ===== 見出しスタイル設定 =====
+// Spacing and left indent (TWIP) per heading level; font sizes come from the theme (sizes.heading1-6).
+// The indent also applies to the body content under the heading.
+const HEADING_STYLES = {
+  1: { spacing: { before: 360, after: 240 }, indent: 0 },
+  2: { spacing: { before: 240, after: 180 }, indent: 360 },
+  3: { spacing: { before: 180, after: 120 }, indent: 360 },
+  4: { spacing: { before: 180, after: 120 }, indent: 540 },
+  5: { spacing: { before: 120, after: 60 }, indent: 720 },
+  6: { spacing: { before: 120, after: 60 }, indent: 900, italics: true }
+};
+const HEADING_LEVELS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6];
+
+// ===== テーマ設定 =====
+// Tokens shared by the built-in themes (THEME_COLORS adds the accent colors).
+// Colors are RRGGBB, sizes are half-points.
+const THEME_DEFAULTS = {
+  text: "000000",              // 本文・表紙・ヘッダーの文字色
+  headingText: "000000",       // 見出しの文字色
+  tableBorder: "000000",       // テーブルの罫線
+  bodyTableHeader: "D9D9D9",   // 本文テーブルのヘッダー行
+  inlineCode: "E8E8E8",        // インラインコードの背景
+  codeBackground: "F5F5F5",    // コードブロックの背景
+  codeTitle: "E0E0E0",         // コードブロックのタイトルの背景
+  codeBorder: "CCCCCC",        // コードブロックの枠線
+  quoteBorder: "CCCCCC",       // 引用の左線
+  rule: "CCCCCC",              // 水平線
+  error: "FF0000",             // 画像が見つからない場合などのメッセージ
+  diagramWarning: { border: "FFC107", fill: "FFF3CD", text: "856404" },  // 図のレンダリング失敗
+  fonts: {                     // ascii/hAnsi: 欧文、eastAsia: 和文、cs: アラビア語など
+    body: { ascii: "Meiryo", hAnsi: "Meiryo", eastAsia: "Meiryo", cs: "Meiryo" },    // 本文・表・表紙・ヘッダー
+    heading: { ascii: "Meiryo", hAnsi: "Meiryo", eastAsia: "Meiryo", cs: "Meiryo" }, // 見出し
+    code: { ascii: "Consolas", hAnsi: "Consolas", eastAsia: "", cs: "Consolas" },    // コードブロック（eastAsia が空なら本文と同じ）
+    symbol: "Segoe UI Symbol", // 注記ボックスのアイコン
+    checkbox: "MS Gothic"      // タスクリストのチェックボックス
+  },
+  sizes: {
+    body: 22, code: 20, caption: 20, footnote: 18, header: 18, history: 20, diagramWarning: 20,
+    heading1: 28, heading2: 24, heading3: 22, heading4: 21, heading5: 20, heading6: 20,
+    sectionTitle: 28,          // 目次・図目次・表目次の見出し
+    historyTitle: 22,          // 変更履歴の見出し
+    coverTitle: 48, coverDoctype: 36, coverVersion: 28, coverInfo: 24
+  }
+};
+
 const THEME_COLORS = {
   blue: {
     headerBorder: "2F4F76",    // 濃い青（ヘッダー下線）
     tableHeader: "538DD4",     // 明るい青（変更履歴テーブルヘッダー）
-    mermaid: "default"         // Mermaidテーマ
+    mermaid: "default",        // Mermaidテーマ
+    plantuml: "cerulean",      // PlantUMLテーマ
+    d2: "4",                   // D2テーマID（Cool classics）
+    syntax: {                  // コードブロックのシンタックスハイライト
+      keyword: "0033B3", literal: "0033B3", string: "067D17", number: "1750EB", comment: "8C8C8C",
+      type: "2F4F76", function: "00627A", property: "871094", variable: "871094", attr: "9E880D", tag: "0033B3"
+    },
+    admonition: {              // 注記ボックス（[!NOTE]など）の枠線・背景
+      note: { border: "2F4F76", fill: "EAF1FB" }, tip: { border: "38761D", fill: "EDF7E9" },
+      important: { border: "674EA7", fill: "F1EDF8" }, warning: { border: "BF9000", fill: "FFF6DA" },
+      caution: { border: "CC0000", fill: "FCE8E6" }
+    }
   },
   orange: {
     headerBorder: "B45F06",    // 濃いオレンジ（ヘッダー下線）
     tableHeader: "F6B26B",     // 明るいオレンジ（変更履歴テーブルヘッダー）
-    mermaid: "neutral"         // Mermaidテーマ（オレンジに近いグレー系）
+    mermaid: "neutral",        // Mermaidテーマ（オレンジに近いグレー系）
+    plantuml: "aws-orange",    // PlantUMLテーマ
+    d2: "101",                 // D2テーマID（Orange creamsicle）
+    syntax: {                  // コードブロックのシンタックスハイライト
+      keyword: "B45F06", literal: "B45F06", string: "38761D", number: "1155CC", comment: "8C8C8C",
+      type: "783F04", function: "990000", property: "7F6000", variable: "7F6000", attr: "0B5394", tag: "B45F06"
+    },
+    admonition: {              // 注記ボックス（[!NOTE]など）の枠線・背景
+      note: { border: "B45F06", fill: "FEF1E4" }, tip: { border: "38761D", fill: "EDF7E9" },
+      important: { border: "674EA7", fill: "F1EDF8" }, warning: { border: "BF9000", fill: "FFF6DA" },
+      caution: { border: "990000", fill: "FCE8E6" }
+    }
   },
   green: {
     headerBorder: "38761D",    // 濃い緑（ヘッダー下線）
     tableHeader: "93C47D",     // 明るい緑（変更履歴テーブルヘッダー）
-    mermaid: "forest"          // Mermaidテーマ
+    mermaid: "forest",         // Mermaidテーマ
+    plantuml: "minty",         // PlantUMLテーマ
+    d2: "104",                 // D2テーマID（Everglade green）
+    syntax: {                  // コードブロックのシンタックスハイライト
+      keyword: "38761D", literal: "38761D", string: "A61C00", number: "1155CC", comment: "8C8C8C",
+      type: "274E13", function: "134F5C", property: "741B47", variable: "741B47", attr: "7F6000", tag: "38761D"
+    },
+    admonition: {              // 注記ボックス（[!NOTE]など）の枠線・背景
+      note: { border: "38761D", fill: "EDF7E9" }, tip: { border: "134F5C", fill: "E6F2F4" },
+      important: { border: "674EA7", fill: "F1EDF8" }, warning: { border: "BF9000", fill: "FFF6DA" },
+      caution: { border: "CC0000", fill: "FCE8E6" }
+    }
+  }
+};
+
+// Resolved built-in themes
+const builtInThemes = new Map();
+
+/**
+ * Check whether a theme option refers to a theme file
+ * @param {*} theme - Theme option value
+ * @returns {boolean}
+ */
+function isThemeFile(theme) {
+  return typeof theme === 'string' && /\.ya?ml$/i.test(theme);
+}
+
+/**
+ * テーマを取得（組み込みテーマ名、テーマファイル、テーマオブジェクト）
+ *
+ * Theme files and objects override the theme named by "extends" (default: blue),
+ * which may itself be a theme file (relative to the extending file).
+ * @param {string|object} theme - Theme name (blue, orange, green), theme file path or theme object
+ * @param {string} baseDir - Base directory for relative theme file paths
+ * @param {string[]} chain - Theme files being resolved (detects circular extends)
+ * @returns {object} - Complete theme (colors, fonts, sizes)
+ * @throws {ConfigError} - When a theme file cannot be read or extends itself
+ */
+function getThemeColors(theme = "blue", baseDir = process.cwd(), chain = []) {
+  if (theme && typeof theme === 'object') {
+    const { extends: parent, ...tokens } = theme;
+    return mergeThemeTokens(getThemeColors(parent || "blue", baseDir, chain), tokens, 'theme');
+  }
+  if (!isThemeFile(theme)) {
+    const name = THEME_COLORS[theme] ? theme : "blue";
+    if (!builtInThemes.has(name)) {
+      builtInThemes.set(name, mergeThemeTokens(THEME_DEFAULTS, THEME_COLORS[name], null));
+    }
+    return builtInThemes.get(name);
+  }
+
+  const themePath = path.resolve(baseDir, theme);
+  if (chain.includes(themePath)) {
+    throw new ConfigError(`Theme file extends itself: ${themePath}`);
+  }
+  if (!fs.existsSync(themePath)) {
+    throw new ConfigError(`Theme file not found: ${themePath}`);
+  }
+  let definition;
+  try {
+    definition = YAML.parse(fs.readFileSync(themePath, 'utf-8')) || {};
+  } catch (e) {
+    throw new ConfigError(`Failed to load theme file: ${e.message}`);
+  }
+  if (typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new ConfigError(`Theme file must be a YAML mapping: ${themePath}`);
+  }
+
+  const { extends: parent, ...tokens } = definition;
+  const base = getThemeColors(parent || "blue", path.dirname(themePath), [...chain, themePath]);
+  return mergeThemeTokens(base, tokens, themePath);
+}
+
+/**
+ * Override theme tokens (nested mappings are merged key by key)
+ * @param {object} base - Theme to override
+ * @param {object} tokens - Overriding tokens
+ * @param {string|null} source - Theme file name for warnings, null to skip validation (built-in themes)
+ * @param {string} prefix - Key path of base (for warnings)
+ * @returns {object} - New theme object
+ */
+function mergeThemeTokens(base, tokens, source, prefix = '') {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(tokens)) {
+    const current = base[key];
+    const keyPath = prefix + key;
+    if (!source) {
+      merged[key] = current && typeof current === 'object' ? mergeThemeTokens(current, value, null) : value;
+      continue;
+    }
+
+    if (current === undefined) {
+      console.warn(`Warning: Unknown theme key "${keyPath}" in ${source}`);
+    } else if (typeof current === 'object') {
+      const isFont = 'eastAsia' in current;
+      if (isFont && typeof value === 'string') {
+        // フォント名だけの指定はすべての文字種に適用
+        merged[key] = { ascii: value, hAnsi: value, eastAsia: value, cs: value };
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        merged[key] = mergeThemeTokens(current, value, source, `${keyPath}.`);
+        if (isFont && value.ascii && !value.hAnsi) merged[key].hAnsi = merged[key].ascii;
+      } else {
+        console.warn(`Warning: Theme key "${keyPath}" must be a mapping in ${source}`);
+      }
+    } else if (typeof current === 'number') {
+      // サイズ（ハーフポイント）
+      if (Number(value) > 0) {
+        merged[key] = Number(value);
+      } else {
+        console.warn(`Warning: Invalid size for theme key "${keyPath}" in ${source}: ${value}`);
+      }
+    } else if (/^[0-9A-F]{6}$/i.test(current)) {
+      // 色（YAMLで数値として読まれた "000000" なども受け付ける）
+      const color = String(value).replace(/^#/, '').padStart(6, '0');
+      if (/^[0-9A-F]{6}$/i.test(color)) {
+        merged[key] = color.toUpperCase();
+      } else {
+        console.warn(`Warning: Invalid color for theme key "${keyPath}" in ${source}: ${value}`);
+      }
+    } else {
+      merged[key] = String(value);
+    }
+  }
+  return merged;
+}
+
+// ===== Fonts =====
+
+/**
+ * Apply font options to a resolved theme (options take precedence over the theme)
+ * @param {object} theme - Resolved theme
+ * @param {object} options - Resolved options
+ * @returns {object} - Theme with font overrides
+ */
+function applyFontOptions(theme, options) {
+  const override = (font, values) => {
+    const result = { ...font };
+    for (const [script, value] of Object.entries(values)) {
+      if (value) result[script] = String(value);
+    }
+    return result;
+  };
+  const text = {
+    ascii: options["font-ascii"], hAnsi: options["font-ascii"],
+    eastAsia: options["font-east-asia"], cs: options["font-cs"]
+  };
+  const code = {
+    ascii: options["code-font"], hAnsi: options["code-font"], cs: options["code-font"],
+    eastAsia: options["code-font-east-asia"]
+  };
+  return {
+    ...theme,
+    fonts: {
+      ...theme.fonts,
+      body: override(theme.fonts.body, text),
+      heading: override(theme.fonts.heading, text),
+      code: override(theme.fonts.code, code)
+    }
+  };
+}
+
+/**
+ * Read the font family name from a TrueType "name" table
+ * @param {Buffer} data - Font file contents
+ * @returns {string|null} - Family name (name ID 1), null when not found
+ */
+function getFontFamilyName(data) {
+  if (data.length < 12) return null;
+  const numTables = data.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    if (record + 16 > data.length) return null;
+    if (data.toString('latin1', record, record + 4) !== 'name') continue;
+
+    const table = data.readUInt32BE(record + 8);
+    if (table + 6 > data.length) return null;
+    const count = data.readUInt16BE(table + 2);
+    const strings = table + data.readUInt16BE(table + 4);
+    // Windows English > other Unicode (Windows, Unicode platform) > Macintosh
+    let unicodeName = null;
+    let macName = null;
+    for (let n = 0; n < count; n++) {
+      const entry = table + 6 + n * 12;
+      if (entry + 12 > data.length) return null;
+      if (data.readUInt16BE(entry + 6) !== 1) continue;
+
+      const platformId = data.readUInt16BE(entry);
+      const languageId = data.readUInt16BE(entry + 4);
+      const start = strings + data.readUInt16BE(entry + 10);
+      const end = start + data.readUInt16BE(entry + 8);
+      if (end > data.length) continue;
+
+      const value = data.subarray(start, end);
+      if (platformId === 3 || platformId === 0) {
+        // UTF-16BE
+        const name = Buffer.from(value.subarray(0, value.length & ~1)).swap16().toString('utf16le');
+        if (platformId === 3 && languageId === 0x409) return name;
+        unicodeName = unicodeName || name;
+      } else if (platformId === 1) {
+        macName = macName || value.toString('latin1');
+      }
+    }
+    return unicodeName || macName;
+  }
+  return null;
+}
+
+/**
+ * Split the embed-fonts option into font file paths
+ * @param {string|string[]|null} files - Font files (comma-separated string or list)
+ * @returns {string[]}
+ */
+function getFontFileList(files) {
+  if (!files) return [];
+  const list = Array.isArray(files) ? files : String(files).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Load TrueType fonts to embed in the document
+ *
+ * Files that are missing or not TrueType (OpenType CFF, collections) are skipped with a warning.
+ * @param {string|string[]|null} files - Font files (comma-separated string or list)
+ * @param {string} baseDir - Base directory for relative paths
+ * @returns {Array<{name: string, data: Buffer}>} - Fonts for the docx fonts option
+ */
+function loadEmbeddedFonts(files, baseDir) {
+  const fonts = [];
+  for (const file of getFontFileList(files)) {
+    const fontPath = path.resolve(baseDir, file);
+    if (!fs.existsSync(fontPath)) {
+      console.warn(`Warning: Font file not found: ${fontPath}`);
+      continue;
+    }
+    const data = fs.readFileSync(fontPath);
+    const signature = data.length >= 12 ? data.readUInt32BE(0) : 0;
+    // 0x00010000 / 'true': TrueType outlines
+    if (signature !== 0x00010000 && signature !== 0x74727565) {
+      console.warn(`Warning: Only TrueType fonts can be embedded, skipped: ${fontPath}`);
+      continue;
+    }
+    const name = getFontFamilyName(data);
+    if (!name) {
+      console.warn(`Warning: Font family name not found, skipped: ${fontPath}`);
+      continue;
+    }
+    fonts.push({ name, data });
   }
+  return fonts;
+}
+
+// ===== Diagram settings =====
+const DIAGRAM_IMAGE_WIDTH = 600;
+
+// Kroki diagram types: output format and theme support
+// (types without PNG output are fetched as SVG)
+const DIAGRAM_TYPES = {
+  actdiag: { name: 'ActDiag', format: 'png' },
+  blockdiag: { name: 'BlockDiag', format: 'png' },
+  bpmn: { name: 'BPMN', format: 'svg' },
+  bytefield: { name: 'Bytefield', format: 'svg' },
+  c4plantuml: { name: 'C4', format: 'png', theme: 'plantuml' },
+  d2: { name: 'D2', format: 'svg', theme: 'd2' },
+  dbml: { name: 'DBML', format: 'svg' },
+  ditaa: { name: 'Ditaa', format: 'png' },
+  erd: { name: 'Erd', format: 'png' },
+  excalidraw: { name: 'Excalidraw', format: 'svg' },
+  graphviz: { name: 'Graphviz', format: 'png' },
+  mermaid: { name: 'Mermaid', format: 'png', theme: 'mermaid' },
+  nomnoml: { name: 'Nomnoml', format: 'svg' },
+  nwdiag: { name: 'NwDiag', format: 'png' },
+  packetdiag: { name: 'PacketDiag', format: 'png' },
+  pikchr: { name: 'Pikchr', format: 'svg' },
+  plantuml: { name: 'PlantUML', format: 'png', theme: 'plantuml' },
+  rackdiag: { name: 'RackDiag', format: 'png' },
+  seqdiag: { name: 'SeqDiag', format: 'png' },
+  structurizr: { name: 'Structurizr', format: 'png' },
+  svgbob: { name: 'Svgbob', format: 'svg' },
+  symbolator: { name: 'Symbolator', format: 'svg' },
+  tikz: { name: 'TikZ', format: 'png' },
+  umlet: { name: 'UMLet', format: 'png' },
+  vega: { name: 'Vega', format: 'png' },
+  vegalite: { name: 'Vega-Lite', format: 'png' },
+  wavedrom: { name: 'WaveDrom', format: 'svg' },
+  wireviz: { name: 'WireViz', format: 'png' }
 };
 
+// Code block language aliases for Kroki diagram types
+const DIAGRAM_ALIASES = {
+  dot: 'graphviz',
+  puml: 'plantuml',
+  c4: 'c4plantuml',
+  'vega-lite': 'vegalite'
+};
+
+// 1x1 transparent PNG used as the SVG fallback when the SVG cannot be rasterized
+const SVG_FALLBACK_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+// Largest width of rasterized SVG fallbacks (pixels)
+const SVG_FALLBACK_MAX_WIDTH = 2000;
+
+// SVG rasterizer (optional dependency @resvg/resvg-js), loaded on first use
+let svgRasterizer;
+
 /**
- * テーマカラーを取得
- * @param {string} theme - テーマ名 (blue, orange, green)
- * @returns {object} - カラー設定
+ * Rasterize an SVG into the PNG fallback shown by Word versions without SVG support
+ * @param {Buffer} data - SVG data
+ * @param {number} width - Fallback width in pixels
+ * @returns {Buffer} - PNG data (blank 1x1 image when the rasterizer is unavailable or fails)
  */
-function getThemeColors(theme) {
-  return THEME_COLORS[theme] || THEME_COLORS.blue;
+function createSvgFallback(data, width) {
+  if (svgRasterizer === undefined) {
+    try {
+      svgRasterizer = require('@resvg/resvg-js').Resvg;
+    } catch (e) {
+      svgRasterizer = null;
+      console.warn('Warning: @resvg/resvg-js is not installed; SVG images are blank in Word versions without SVG support');
+    }
+  }
+  if (!svgRasterizer) return SVG_FALLBACK_PNG;
+
+  try {
+    const value = Math.min(Math.max(1, Math.round(width)), SVG_FALLBACK_MAX_WIDTH);
+    const resvg = new svgRasterizer(data, { fitTo: { mode: 'width', value }, font: { loadSystemFonts: true } });
+    return resvg.render().asPng();
+  } catch (e) {
+    console.warn(`Warning: Failed to create the PNG fallback of an SVG image: ${e.message}`);
+    return SVG_FALLBACK_PNG;
+  }
+}
+
+/**
+ * Get the Kroki diagram type for a code block language
+ * @param {string} language - Code block language tag
+ * @returns {string|null} - Kroki diagram type, null if not a diagram
+ */
+function getDiagramType(language) {
+  const lang = (language || '').toLowerCase();
+  const type = DIAGRAM_ALIASES[lang] || lang;
+  return DIAGRAM_TYPES[type] ? type : null;
+}
+
+/**
+ * Key identifying a diagram in the rendered map
+ * @param {string} diagramType - Kroki diagram type
+ * @param {string} source - Diagram source
+ * @returns {string}
+ */
+function getDiagramKey(diagramType, source) {
+  return `${diagramType}\n${source}`;
 }
 
-// ===== Mermaid設定 =====
-const MERMAID_IMAGE_WIDTH = 600;
+/**
+ * Apply the color theme to a diagram source
+ * @param {string} diagramType - Kroki diagram type
+ * @param {string} source - Diagram source
+ * @param {object} colors - Theme colors from getThemeColors()
+ * @returns {{source: string, headers: object}} - Source to send and extra request headers
+ */
+function applyDiagramTheme(diagramType, source, colors) {
+  const themeKind = DIAGRAM_TYPES[diagramType].theme;
+  const themeName = themeKind ? colors[themeKind] : null;
+  if (!themeName) {
+    return { source, headers: {} };
+  }
+
+  switch (themeKind) {
+    case 'mermaid':
+      // テーマ設定をダイアグラムの先頭に追加（既存のinit設定がない場合）
+      if (source.includes('%%{init:')) break;
+      return { source: `%%{init: {'theme': '${themeName}'}}%%\n${source}`, headers: {} };
+
+    case 'plantuml': {
+      // !theme を @startuml の直後に追加（既存の!theme指定がない場合）
+      if (/^\s*!theme\s/m.test(source)) break;
+      const startMatch = source.match(/^\s*@start\w+.*$/m);
+      if (startMatch) {
+        const insertAt = startMatch.index + startMatch[0].length;
+        return { source: `${source.slice(0, insertAt)}\n!theme ${themeName}${source.slice(insertAt)}`, headers: {} };
+      }
+      return { source: `!theme ${themeName}\n${source}`, headers: {} };
+    }
+
+    case 'd2':
+      // D2はKrokiのダイアグラムオプションでテーマを指定
+      return { source, headers: { 'Kroki-Diagram-Options-theme': String(themeName) } };
+  }
+
+  return { source, headers: {} };
+}
+
+/**
+ * Get image dimensions from SVG markup (width/height attributes, then viewBox)
+ * @param {Buffer} svgData - SVG binary data
+ * @returns {{width: number, height: number}|null} - Image dimensions in pixels, null on failure
+ */
+function getSvgDimensions(svgData) {
+  const svgTag = svgData.toString('utf-8', 0, Math.min(svgData.length, 4096)).match(/<svg\b[^>]*>/i);
+  if (!svgTag) return null;
+
+  const toPixels = (value) => {
+    const match = value && value.match(/^\s*([\d.]+)\s*(px|pt)?\s*$/i);
+    if (!match) return null;
+    const number = parseFloat(match[1]);
+    return match[2] && match[2].toLowerCase() === 'pt' ? number * 96 / 72 : number;
+  };
+  const attr = (name) => {
+    const match = svgTag[0].match(new RegExp(`\\s${name}=["']([^"']*)["']`, 'i'));
+    return match ? match[1] : null;
+  };
+
+  const width = toPixels(attr('width'));
+  const height = toPixels(attr('height'));
+  if (width && height) {
+    return { width: Math.round(width), height: Math.round(height) };
+  }
+  const viewBox = (attr('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  }
+  return null;
+}
 
 /**
  * Get image dimensions from PNG binary
@@ -105,53 +643,104 @@ function getPngDimensions(pngData) {
 }
 
 /**
- * Convert Mermaid diagram to PNG image using Kroki API
- * @param {string} diagramSource - Mermaid diagram source code
- * @param {string} mermaidTheme - Mermaid theme name (default, neutral, dark, forest, base)
- * @returns {Promise<Buffer|null>} - PNG image binary data, null on failure
+ * Build Kroki renderer settings from options
+ * @param {object} options - Resolved options
+ * @returns {{url: string, timeout: number, headers: object, concurrency: number, retries: number, offline: boolean}} - Renderer settings
+ * @throws {ConfigError} - When the URL is invalid or not http/https
+ */
+function getDiagramRenderer(options) {
+  const baseUrl = String(options["kroki-url"] || 'https://kroki.io').replace(/\/+$/, '');
+  let parsed;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (e) {
+    throw new ConfigError(`Invalid kroki-url: ${baseUrl}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new ConfigError(`Unsupported kroki-url protocol: ${parsed.protocol} (use http or https)`);
+  }
+
+  const timeout = Number(options["kroki-timeout"]);
+  const concurrency = parseInt(options["kroki-concurrency"], 10);
+  const retries = parseInt(options["kroki-retries"], 10);
+  return {
+    url: baseUrl,
+    timeout: timeout > 0 ? timeout : 30000,
+    headers: parseHeaderOption(options["kroki-headers"]),
+    concurrency: concurrency > 0 ? concurrency : 4,
+    retries: retries >= 0 ? retries : 2,
+    offline: options.offline === true
+  };
+}
+
+/**
+ * Parse extra HTTP headers given as an object or a "Name: value; Name: value" string
+ * @param {object|string|null} value - Header option value
+ * @returns {object} - Header name to value map
  */
-async function renderMermaidToPng(diagramSource, mermaidTheme = 'default') {
-  const https = require('https');
+function parseHeaderOption(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return { ...value };
 
-  // テーマ設定をダイアグラムの先頭に追加（既存のinit設定がない場合）
-  let postData = diagramSource;
-  if (!diagramSource.includes('%%{init:')) {
-    postData = `%%{init: {'theme': '${mermaidTheme}'}}%%\n${diagramSource}`;
+  const headers = {};
+  for (const pair of String(value).split(';')) {
+    const colonIndex = pair.indexOf(':');
+    if (colonIndex > 0) {
+      headers[pair.slice(0, colonIndex).trim()] = pair.slice(colonIndex + 1).trim();
+    }
   }
+  return headers;
+}
+
+// Network errors worth retrying (in addition to timeouts and HTTP 5xx)
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Send a single render request to Kroki
+ * @param {URL} endpoint - Kroki endpoint URL
+ * @param {string} postData - Diagram source to send
+ * @param {object} headers - Request headers
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Buffer>} - Response body
+ * @throws {Error} - With a retryable flag for timeouts, 5xx and transient network errors
+ */
+function requestKroki(endpoint, postData, headers, timeout) {
+  const client = endpoint.protocol === 'http:' ? require('http') : require('https');
+
+  return new Promise((resolve, reject) => {
+    const fail = (message, retryable) => {
+      const error = new Error(message);
+      error.retryable = retryable;
+      reject(error);
+    };
 
-  return new Promise((resolve) => {
-    const options = {
-      hostname: 'kroki.io',
-      port: 443,
-      path: '/mermaid/png',
+    const req = client.request(endpoint, {
       method: 'POST',
       headers: {
+        ...headers,
         'Content-Type': 'text/plain',
         'Content-Length': Buffer.byteLength(postData)
       },
-      timeout: 30000
-    };
-
-    const req = https.request(options, (res) => {
+      timeout
+    }, (res) => {
       if (res.statusCode !== 200) {
-        console.warn(`Warning: Kroki API error (HTTP ${res.statusCode})`);
-        resolve(null);
+        res.resume();
+        fail(`Kroki API error (HTTP ${res.statusCode})`, res.statusCode >= 500);
         return;
       }
       const chunks = [];
       res.on('data', (chunk) => chunks.push(chunk));
       res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', (e) => fail(`Kroki API connection error: ${e.message}`, true));
     });
 
     req.on('error', (e) => {
-      console.warn(`Warning: Kroki API connection error: ${e.message}`);
-      resolve(null);
+      fail(`Kroki API connection error: ${e.message}`, RETRYABLE_ERROR_CODES.includes(e.code));
     });
 
     req.on('timeout', () => {
+      fail('Kroki API timeout', true);
       req.destroy();
-      console.warn('Warning: Kroki API timeout');
-      resolve(null);
     });
 
     req.write(postData);
@@ -160,108 +749,543 @@ async function renderMermaidToPng(diagramSource, mermaidTheme = 'default') {
 }
 
 /**
- * Pre-render all Mermaid diagrams
- * @param {Array} elements - Array of parsed elements
- * @param {string} mermaidTheme - Mermaid theme name
- * @returns {Promise<Map<string, Buffer>>} - Map of diagram source to PNG data
+ * Render a diagram to an image using Kroki API (retries with backoff on transient errors)
+ * @param {string} diagramType - Kroki diagram type (mermaid, plantuml, graphviz, ...)
+ * @param {string} diagramSource - Diagram source code
+ * @param {object} colors - Theme colors from getThemeColors()
+ * @param {object} renderer - Renderer settings from getDiagramRenderer()
+ * @returns {Promise<{type: string, data: Buffer}|null>} - Image (png or svg), null on failure
  */
-async function prerenderMermaidDiagrams(elements, mermaidTheme = 'default') {
-  const mermaidElements = elements.filter(
-    el => el.type === 'code' && el.language === 'mermaid'
-  );
-
-  const renderedMap = new Map();
+async function renderDiagram(diagramType, diagramSource, colors = getThemeColors(), renderer = getDiagramRenderer({})) {
+  const format = DIAGRAM_TYPES[diagramType].format;
+  const endpoint = new URL(`${renderer.url}/${diagramType}/${format}`);
+  const themed = applyDiagramTheme(diagramType, diagramSource, colors);
+  const headers = { ...renderer.headers, ...themed.headers };
 
-  for (const el of mermaidElements) {
-    if (!renderedMap.has(el.content)) {
-      console.log('Rendering Mermaid diagram...');
-      const imageData = await renderMermaidToPng(el.content, mermaidTheme);
-      renderedMap.set(el.content, imageData);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await requestKroki(endpoint, themed.source, headers, renderer.timeout);
+      return { type: format, data };
+    } catch (e) {
+      if (!e.retryable || attempt >= renderer.retries) {
+        const attempts = attempt > 0 ? ` after ${attempt + 1} attempts` : '';
+        console.warn(`Warning: ${DIAGRAM_TYPES[diagramType].name} diagram: ${e.message}${attempts}`);
+        return null;
+      }
+      // Exponential backoff: 0.5s, 1s, 2s, ...
+      await new Promise(resolve => setTimeout(resolve, 500 * 2 ** attempt));
     }
   }
+}
 
-  return renderedMap;
+// ===== Diagram cache =====
+// Cache files are named <source hash>-<variant hash>.<format>; the variant hash covers
+// the renderer URL and the themed request, so older variants can serve as stale fallbacks
+const DIAGRAM_CACHE_FILE_PATTERN = /^[0-9a-f]{16}-[0-9a-f]{16}\.(png|svg)$/;
+
+/**
+ * Short SHA-256 hex digest used for cache file names
+ * @param {string} text - Text to hash
+ * @returns {string}
+ */
+function hashText(text) {
+  return require('crypto').createHash('sha256').update(text).digest('hex').slice(0, 16);
 }
 
-// ===== Config file loading =====
 /**
- * Load YAML config file
- * @param {string} configPath - Config file path
- * @returns {object} - Config object (empty object if file not found)
+ * Read a cached diagram image
+ * @param {string} filePath - Cache file path
+ * @returns {Buffer|null} - Image data, null (with a warning) if the file cannot be read
  */
-function loadConfigFile(configPath) {
-  if (!configPath || !fs.existsSync(configPath)) {
-    return {};
-  }
+function readDiagramCache(filePath) {
   try {
-    const content = fs.readFileSync(configPath, 'utf-8');
-    const config = YAML.parse(content);
-    return config || {};
+    return fs.readFileSync(filePath);
   } catch (e) {
-    console.warn(`Warning: Failed to load config file: ${e.message}`);
-    return {};
+    console.warn(`Warning: Failed to read diagram cache: ${e.message}`);
+    return null;
   }
 }
 
 /**
- * Save config to YAML file
- * @param {string} savePath - Destination file path
- * @param {object} options - Config object to save
- * @param {object} defaults - Default values object
+ * Render a diagram, reusing and filling the on-disk cache
+ * @param {string} diagramType - Kroki diagram type
+ * @param {string} diagramSource - Diagram source code
+ * @param {object} colors - Theme colors from getThemeColors()
+ * @param {object} renderer - Renderer settings from getDiagramRenderer()
+ * @param {{dir: string, refresh: boolean}|null} cache - Cache settings, null to disable
+ * @returns {Promise<{type: string, data: Buffer}|null>} - Image (png or svg), null on failure
  */
-function saveConfigFile(savePath, options, defaults) {
-  // Force .yaml extension
-  if (!savePath.endsWith('.yaml') && !savePath.endsWith('.yml')) {
-    savePath = savePath + '.yaml';
+async function renderDiagramCached(diagramType, diagramSource, colors, renderer, cache) {
+  if (!cache && !renderer.offline) {
+    return renderDiagram(diagramType, diagramSource, colors, renderer);
+  }
+  if (!cache) {
+    console.warn(`Warning: ${DIAGRAM_TYPES[diagramType].name} diagram is not cached (offline)`);
+    return null;
   }
 
-  // Config items to save (exclude input, output, config, save-config, and null values)
-  const configToSave = {};
-  for (const key of Object.keys(defaults)) {
-    if (options[key] !== null) {
-      configToSave[key] = options[key];
+  const format = DIAGRAM_TYPES[diagramType].format;
+  const themed = applyDiagramTheme(diagramType, diagramSource, colors);
+  const sourceHash = hashText(`${diagramType}\n${diagramSource}`);
+  const variantHash = hashText(JSON.stringify([renderer.url, format, themed.source, themed.headers]));
+  const cachePath = path.join(cache.dir, `${sourceHash}-${variantHash}.${format}`);
+
+  // Exact cache hit (touch it so pruning keeps entries that are still in use)
+  if ((!cache.refresh || renderer.offline) && fs.existsSync(cachePath)) {
+    try {
+      const now = new Date();
+      fs.utimesSync(cachePath, now, now);
+    } catch (e) {
+      console.warn(`Warning: Failed to update diagram cache: ${e.message}`);
+    }
+    const data = readDiagramCache(cachePath);
+    if (data) return { type: format, data };
+  }
+
+  // Offline: only cached images (of any renderer/theme) are used
+  const image = renderer.offline ? null : await renderDiagram(diagramType, diagramSource, colors, renderer);
+  if (image) {
+    try {
+      fs.mkdirSync(cache.dir, { recursive: true });
+      fs.writeFileSync(cachePath, image.data);
+    } catch (e) {
+      console.warn(`Warning: Failed to write diagram cache: ${e.message}`);
     }
+    return image;
+  }
+
+  // Rendering failed: fall back to the newest cached image of the same source
+  const stalePath = findStaleDiagram(cache.dir, sourceHash, format, cachePath);
+  const staleData = stalePath ? readDiagramCache(stalePath) : null;
+  if (staleData) {
+    console.warn(`Warning: Using cached ${DIAGRAM_TYPES[diagramType].name} diagram (${renderer.offline ? 'offline' : 'rendering failed'})`);
+    return { type: format, data: staleData };
   }
+  if (renderer.offline) {
+    console.warn(`Warning: ${DIAGRAM_TYPES[diagramType].name} diagram is not cached (offline)`);
+  }
+  return null;
+}
+
+/**
+ * Find the newest cached image for a diagram source (any renderer/theme)
+ * @param {string} cacheDir - Cache directory
+ * @param {string} sourceHash - Hash of the diagram source
+ * @param {string} format - Image format (png or svg)
+ * @param {string} exactPath - Exact cache path, preferred when present
+ * @returns {string|null} - Cache file path, null if none
+ */
+function findStaleDiagram(cacheDir, sourceHash, format, exactPath) {
+  if (fs.existsSync(exactPath)) return exactPath;
+  if (!fs.existsSync(cacheDir)) return null;
 
+  let names;
   try {
-    const yamlContent = YAML.stringify(configToSave, { lineWidth: 0 });
-    fs.writeFileSync(savePath, yamlContent);
-    console.log(`Config saved: ${savePath}`);
+    names = fs.readdirSync(cacheDir);
   } catch (e) {
-    console.error(`Error: Failed to save config file: ${e.message}`);
-    process.exit(1);
+    console.warn(`Warning: Failed to read diagram cache: ${e.message}`);
+    return null;
+  }
+  const candidates = [];
+  for (const name of names) {
+    if (!name.startsWith(`${sourceHash}-`) || !name.endsWith(`.${format}`)) continue;
+    const filePath = path.join(cacheDir, name);
+    try {
+      candidates.push({ filePath, mtimeMs: fs.statSync(filePath).mtimeMs });
+    } catch (e) {
+      // 読み取り中に削除されたファイルは候補から外す
+    }
   }
+  candidates.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  return candidates.length > 0 ? candidates[0].filePath : null;
 }
 
-// ===== Command line argument parsing =====
-function parseArgs() {
-  const args = process.argv.slice(2);
+/**
+ * Delete cached diagrams that have not been used for a number of days
+ * @param {string} cacheDir - Cache directory
+ * @param {number} maxAgeDays - Maximum age in days (0 disables pruning)
+ * @returns {number} - Number of deleted files
+ */
+function pruneDiagramCache(cacheDir, maxAgeDays) {
+  if (!(maxAgeDays > 0) || !fs.existsSync(cacheDir)) return 0;
 
-  // Default values
-  const defaults = {
-    title: "Product Name",
-    subtitle: "Manual",
-    doctype: "Operation Manual",
-    version: "1.0.0",
-    date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
-    dept: "Technical Development",
-    docnum: "DOC-001",
-    logo: null,
-    company: "Sample Corporation",
-    theme: "blue",
-    "hr-pagebreak": true
+  let names;
+  try {
+    names = fs.readdirSync(cacheDir);
+  } catch (e) {
+    console.warn(`Warning: Failed to prune diagram cache: ${e.message}`);
+    return 0;
+  }
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  let deleted = 0;
+  for (const name of names) {
+    if (!DIAGRAM_CACHE_FILE_PATTERN.test(name)) continue;
+    const filePath = path.join(cacheDir, name);
+    try {
+      if (fs.statSync(filePath).mtimeMs < cutoff) {
+        fs.unlinkSync(filePath);
+        deleted++;
+      }
+    } catch (e) {
+      console.warn(`Warning: Failed to prune diagram cache: ${e.message}`);
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Run an async worker over items with a bounded number of concurrent calls
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => void
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Create a progress reporter that calls onProgress with { label, completed, total }
+ * (once at the start and after every step; silent without a callback)
+ * @param {string} label - Progress label
+ * @param {number} total - Total number of steps
+ * @param {Function|null} onProgress - Progress callback
+ * @returns {{tick: Function}}
+ */
+function createProgress(label, total, onProgress) {
+  let completed = 0;
+  const report = () => {
+    if (onProgress) onProgress({ label, completed, total });
+  };
+  report();
+  return {
+    tick() {
+      completed++;
+      report();
+    }
   };
+}
 
-  // Parse command line arguments
-  const cliOptions = {
-    input: null,
-    output: null,
-    config: null,
-    "save-config": null
+/**
+ * Pre-render all diagrams (every Kroki-supported code block language)
+ * @param {Array} elements - Array of parsed elements
+ * @param {object} colors - Theme colors from getThemeColors()
+ * @param {object} renderer - Renderer settings from getDiagramRenderer()
+ * @param {{dir: string, refresh: boolean, maxAge: number}|null} cache - Cache settings, null to disable
+ * @param {Function|null} onProgress - Progress callback (see createProgress())
+ * @returns {Promise<Map<string, {type: string, data: Buffer}|null>>} - Map of diagram key to image
+ */
+async function prerenderDiagrams(elements, colors = getThemeColors(), renderer = getDiagramRenderer({}), cache = null, onProgress = null) {
+  // Collect unique diagrams
+  const diagrams = new Map();
+  const collect = (list) => {
+    for (const el of list) {
+      // Diagrams inside blockquotes and list items
+      if (el.children) collect(el.children);
+      if (el.items) el.items.forEach(item => item.children && collect(item.children));
+      const diagramType = el.type === 'code' ? getDiagramType(el.language) : null;
+      if (diagramType) {
+        diagrams.set(getDiagramKey(diagramType, el.content), { diagramType, source: el.content });
+      }
+    }
   };
-  const cliValues = {};
+  collect(elements);
 
-  for (let i = 0; i < args.length; i++) {
+  const renderedMap = new Map();
+  if (diagrams.size === 0) return renderedMap;
+
+  const progress = createProgress('Rendering diagrams...', diagrams.size, onProgress);
+  await runWithConcurrency([...diagrams], renderer.concurrency, async ([key, diagram]) => {
+    const image = await renderDiagramCached(diagram.diagramType, diagram.source, colors, renderer, cache);
+    renderedMap.set(key, image);
+    progress.tick();
+  });
+
+  if (cache) {
+    pruneDiagramCache(cache.dir, cache.maxAge);
+  }
+
+  return renderedMap;
+}
+
+// ===== Errors =====
+/**
+ * Base class for all errors thrown by md2mdocx
+ * @property {string} code - Machine-readable error code
+ */
+class Md2mdocxError extends Error {
+  constructor(message, code = 'MD2MDOCX_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/** Invalid command line usage (missing input file, etc.) */
+class UsageError extends Md2mdocxError {
+  constructor(message) {
+    super(message, 'USAGE');
+  }
+}
+
+/** Input Markdown could not be read */
+class InputError extends Md2mdocxError {
+  constructor(message) {
+    super(message, 'INPUT');
+  }
+}
+
+/** Config file could not be read or written */
+class ConfigError extends Md2mdocxError {
+  constructor(message) {
+    super(message, 'CONFIG');
+  }
+}
+
+// ===== Config file loading =====
+/**
+ * Load YAML config file
+ * @param {string|null} configPath - Config file path
+ * @returns {object} - Config object (empty object if no path is given)
+ * @throws {ConfigError} - When the file is missing, malformed or not a YAML mapping
+ */
+function loadConfigFile(configPath) {
+  if (!configPath) {
+    return {};
+  }
+  if (!fs.existsSync(configPath)) {
+    throw new ConfigError(`Config file not found: ${configPath}`);
+  }
+  let config;
+  try {
+    config = YAML.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (e) {
+    throw new ConfigError(`Failed to load config file ${configPath}: ${e.message.split('\n')[0]}`);
+  }
+  if (config === null || config === undefined) {
+    return {};
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Config file must be a YAML mapping: ${configPath}`);
+  }
+  return config;
+}
+
+/**
+ * Save config to YAML file
+ * @param {string} savePath - Destination file path
+ * @param {object} options - Config object to save
+ * @param {object} defaults - Default values object
+ * @returns {string} - Path actually written (with .yaml extension)
+ * @throws {ConfigError} - When the file cannot be written
+ */
+function saveConfigFile(savePath, options, defaults = getDefaultOptions()) {
+  // Force .yaml extension
+  if (!savePath.endsWith('.yaml') && !savePath.endsWith('.yml')) {
+    savePath = savePath + '.yaml';
+  }
+
+  // Config items to save (exclude input, output, config, save-config, and null values)
+  const configToSave = {};
+  for (const key of Object.keys(defaults)) {
+    if (options[key] !== null) {
+      configToSave[key] = options[key];
+    }
+  }
+
+  try {
+    const yamlContent = YAML.stringify(configToSave, { lineWidth: 0 });
+    fs.writeFileSync(savePath, yamlContent);
+  } catch (e) {
+    throw new ConfigError(`Failed to save config file: ${e.message}`);
+  }
+  return savePath;
+}
+
+// ===== Option resolution =====
+/**
+ * Get default values for all document options
+ * @returns {object} - Default options
+ */
+function getDefaultOptions() {
+  return {
+    title: "Product Name",
+    subtitle: "Manual",
+    doctype: "Operation Manual",
+    version: "1.0.0",
+    date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    dept: "Technical Development",
+    docnum: "DOC-001",
+    logo: null,
+    company: "Sample Corporation",
+    theme: "blue",
+    "hr-pagebreak": true,
+    "toc-depth": 3,
+    "heading-numbering": false,
+    "heading-numbering-levels": 3,
+    "heading-numbering-format": "%1.,%1.%2.,%1.%2.%3.",
+    "syntax-highlight": true,
+    "font-ascii": null,
+    "font-east-asia": null,
+    "font-cs": null,
+    "embed-fonts": null,
+    "code-font": null,
+    "code-font-east-asia": null,
+    "code-tab-size": 4,
+    "code-line-numbers": false,
+    "task-checkbox": "control",
+    "figure-captions": false,
+    "figure-label": "Figure",
+    "table-label": "Table",
+    "list-of-figures": false,
+    "list-of-tables": false,
+    chapters: null,
+    diagrams: true,
+    "kroki-url": "https://kroki.io",
+    "kroki-timeout": 30000,
+    "kroki-headers": null,
+    "kroki-concurrency": 4,
+    "kroki-retries": 2,
+    "diagram-cache": ".md2mdocx-cache/diagrams",
+    "diagram-cache-max-age": 90,
+    "refresh-diagrams": false,
+    "image-cache": ".md2mdocx-cache/images",
+    "image-timeout": 30000,
+    "image-headers": null,
+    "refresh-images": false,
+    offline: false
+  };
+}
+
+// Options a Markdown file may set in its front matter (document metadata and presentation).
+// Network, credential and file system settings stay in the command line or config file.
+const FRONT_MATTER_KEYS = [
+  'title', 'subtitle', 'doctype', 'version', 'date', 'dept', 'docnum', 'logo', 'company',
+  'theme', 'hr-pagebreak', 'toc-depth',
+  'heading-numbering', 'heading-numbering-levels', 'heading-numbering-format',
+  'syntax-highlight', 'font-ascii', 'font-east-asia', 'font-cs', 'code-font', 'code-font-east-asia',
+  'code-tab-size', 'code-line-numbers', 'task-checkbox',
+  'figure-captions', 'figure-label', 'table-label', 'list-of-figures', 'list-of-tables'
+];
+
+/**
+ * Resolve file paths in an option value against the directory of the source that set it
+ * @param {string} key - Option name
+ * @param {*} value - Option value
+ * @param {string} baseDir - Directory of the command line (cwd), config file or Markdown file
+ * @returns {*} - Value with absolute paths
+ */
+function resolveOptionPaths(key, value, baseDir) {
+  if (key === 'theme') {
+    if (isThemeFile(value)) return path.resolve(baseDir, value);
+    // Theme object (config file mapping) extending a theme file
+    if (value && typeof value === 'object' && isThemeFile(value.extends)) {
+      return { ...value, extends: path.resolve(baseDir, value.extends) };
+    }
+  }
+  if (key === 'embed-fonts' && value) {
+    return getFontFileList(value).map(file => path.resolve(baseDir, file));
+  }
+  return value;
+}
+
+/**
+ * Merge option sources into a complete option set
+ *
+ * Relative theme and font file paths are resolved against the directory of the source that set them:
+ * the current directory for explicit values, the config file directory and frontMatterDir.
+ * @param {object} values - Explicitly given values (highest priority)
+ * @param {string|null} configPath - YAML config file path
+ * @param {object} frontMatter - Front matter of the Markdown file (between values and the config file)
+ * @param {string} frontMatterDir - Directory of the Markdown file holding the front matter
+ * @returns {object} - Resolved options
+ */
+function resolveOptions(values = {}, configPath = null, frontMatter = {}, frontMatterDir = process.cwd()) {
+  const defaults = getDefaultOptions();
+  const fileConfig = loadConfigFile(configPath);
+  const configDir = configPath ? path.dirname(path.resolve(configPath)) : process.cwd();
+
+  // Priority: Explicit values > Front matter > Config file > Default values
+  const options = { ...defaults };
+  for (const key of Object.keys(defaults)) {
+    if (fileConfig[key] !== undefined) {
+      options[key] = resolveOptionPaths(key, fileConfig[key], configDir);
+    }
+  }
+  for (const key of Object.keys(defaults)) {
+    if (frontMatter[key] === undefined) continue;
+    if (FRONT_MATTER_KEYS.includes(key)) {
+      options[key] = resolveOptionPaths(key, frontMatter[key], frontMatterDir);
+    } else {
+      console.warn(`Warning: "${key}" cannot be set in front matter (use the command line or config file)`);
+    }
+  }
+  for (const key of Object.keys(defaults)) {
+    if (values[key] !== undefined) {
+      options[key] = resolveOptionPaths(key, values[key], process.cwd());
+    }
+  }
+
+  // Validate theme (built-in name, theme file or theme object)
+  if (!THEME_COLORS[options.theme] && !isThemeFile(options.theme) && !(options.theme && typeof options.theme === 'object')) {
+    console.warn(`Warning: Unknown theme "${options.theme}". Using default "blue".`);
+    options.theme = "blue";
+  }
+
+  return options;
+}
+
+// ===== Command line argument parsing =====
+const USAGE = [
+  'Usage: md2mdocx input.md [output.docx] [options]',
+  '       md2mdocx book.yaml [output.docx] [options]   (book mode: chapters listed in the config file)',
+  '',
+  'Document:  --title, --subtitle, --doctype, --version, --date, --dept, --docnum, --logo, --company',
+  'Theme:     --theme blue|orange|green|theme.yaml (default: blue)',
+  'Layout:    --hr-pagebreak, --toc-depth, --heading-numbering, --heading-numbering-levels,',
+  '           --heading-numbering-format, --task-checkbox control|glyph',
+  'Fonts:     --font-ascii, --font-east-asia, --font-cs, --embed-fonts a.ttf,b.ttf',
+  'Code:      --syntax-highlight, --code-font, --code-font-east-asia, --code-tab-size, --code-line-numbers',
+  'Captions:  --figure-captions, --figure-label, --table-label, --list-of-figures, --list-of-tables',
+  'Diagrams:  --no-diagrams, --kroki-url, --kroki-timeout, --kroki-headers, --kroki-concurrency,',
+  '           --kroki-retries, --diagram-cache, --diagram-cache-max-age, --refresh-diagrams',
+  'Images:    --image-cache, --image-timeout, --image-headers, --refresh-images',
+  'Network:   --offline (use cached images and diagrams only)',
+  '',
+  'Boolean options can be given without a value (--heading-numbering) or as --name true/false.',
+  '',
+  'Config file: Automatically loads input.yaml from the same path as input.md',
+  '             Can also be explicitly specified with --config option',
+  '',
+  'Save config: Use --save-config config.yaml to save current settings to YAML file'
+].join('\n');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments without the node/script path
+ * @returns {{input: string|null, output: string|null, config: string|null, saveConfig: string|null, values: object}}
+ * @throws {UsageError} - When neither an input file nor --save-config is given
+ */
+function parseArgs(args = process.argv.slice(2)) {
+  const defaults = getDefaultOptions();
+
+  // Parse command line arguments
+  const cliOptions = {
+    input: null,
+    output: null,
+    config: null,
+    "save-config": null
+  };
+  const cliValues = {};
+
+  for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       let key, value;
       // Support --key=value format
@@ -271,7 +1295,21 @@ function parseArgs() {
         value = args[i].slice(eqIndex + 1);
       } else {
         key = args[i].slice(2);
-        value = (i + 1 < args.length) ? args[++i] : undefined;
+        const next = args[i + 1];
+        if (key.startsWith('no-') && typeof defaults[key.slice(3)] === 'boolean') {
+          value = undefined;
+        } else if (typeof defaults[key] === 'boolean' && next !== 'true' && next !== 'false') {
+          // Boolean flag given without a value (e.g. --refresh-diagrams)
+          value = 'true';
+        } else {
+          value = (i + 1 < args.length) ? args[++i] : undefined;
+        }
+      }
+
+      // --no-<flag> disables a boolean option without taking a value
+      if (key.startsWith('no-') && typeof defaults[key.slice(3)] === 'boolean') {
+        cliValues[key.slice(3)] = false;
+        continue;
       }
 
       if (key === 'input' || key === 'output' || key === 'config' || key === 'save-config') {
@@ -293,70 +1331,48 @@ function parseArgs() {
     }
   }
 
-  // Input file not required when only using --save-config
-  if (!cliOptions.input && !cliOptions["save-config"]) {
-    console.error('Usage: node md2docx.js input.md output.docx [options]');
-    console.error('Options: --title, --subtitle, --doctype, --version, --date, --dept, --docnum, --logo, --company, --theme, --config');
-    console.error('Theme: blue (default), orange, green');
-    console.error('');
-    console.error('Config file: Automatically loads input.yaml from the same path as input.md');
-    console.error('             Can also be explicitly specified with --config option');
-    console.error('');
-    console.error('Save config: Use --save-config config.yaml to save current settings to YAML file');
-    process.exit(1);
+  // A YAML input is a book manifest (config file with a chapters list)
+  if (cliOptions.input && /\.ya?ml$/i.test(cliOptions.input) && !cliOptions.config) {
+    cliOptions.config = cliOptions.input;
+    cliOptions.input = null;
+  }
+
+  // Input file not required when only using --save-config or a book manifest
+  if (!cliOptions.input && !cliOptions["save-config"] && !cliOptions.config) {
+    throw new UsageError('No input file specified');
   }
 
   // Determine config file path
   let configPath = cliOptions.config;
   if (!configPath && cliOptions.input) {
-    // Look for .yaml file in the same path as md file
+    // Look for .yaml file in the same path as md file (skipped with a warning if it cannot be loaded)
     const inputPath = path.resolve(cliOptions.input);
     const yamlPath = inputPath.replace(/\.md$/, '.yaml');
     if (fs.existsSync(yamlPath)) {
-      configPath = yamlPath;
-      console.log(`Loading config file: ${yamlPath}`);
+      try {
+        loadConfigFile(yamlPath);
+        configPath = yamlPath;
+        console.log(`Loading config file: ${yamlPath}`);
+      } catch (e) {
+        console.warn(`Warning: ${e.message} (ignored)`);
+      }
     }
   }
 
-  // Load config file
-  const fileConfig = loadConfigFile(configPath);
+  let output = cliOptions.output;
+  if (!output && cliOptions.input) {
+    output = cliOptions.input.replace(/\.md$/, '.docx');
+  } else if (!output && configPath) {
+    output = configPath.replace(/\.ya?ml$/i, '.docx');
+  }
 
-  // Priority: Command line args > Config file > Default values
-  const options = {
+  return {
     input: cliOptions.input,
-    output: cliOptions.output,
-    ...defaults
+    output,
+    config: configPath,
+    saveConfig: cliOptions["save-config"],
+    values: cliValues
   };
-
-  // Apply config file values
-  for (const key of Object.keys(defaults)) {
-    if (fileConfig[key] !== undefined) {
-      options[key] = fileConfig[key];
-    }
-  }
-
-  // Apply command line argument values (highest priority)
-  for (const key of Object.keys(cliValues)) {
-    options[key] = cliValues[key];
-  }
-
-  // Validate theme
-  if (!THEME_COLORS[options.theme]) {
-    console.warn(`Warning: Unknown theme "${options.theme}". Using default "blue".`);
-    options.theme = "blue";
-  }
-
-  if (!options.output && options.input) {
-    options.output = options.input.replace(/\.md$/, '.docx');
-  }
-
-  // If --save-config is specified, save settings and exit
-  if (cliOptions["save-config"]) {
-    saveConfigFile(cliOptions["save-config"], options, defaults);
-    process.exit(0);
-  }
-
-  return options;
 }
 
 // ===== Markdown Parser =====
@@ -366,6 +1382,12 @@ class MarkdownParser {
     this.pos = 0;
     this.elements = [];
     this.images = [];
+    // md2mdocx:table-widths の指定（次のテーブルに適用）
+    this.pendingTableWidths = null;
+    // 脚注の定義（ラベル → 本文）
+    this.footnotes = {};
+    // md2mdocx:caption / Table: の指定（次の画像・テーブル・コードブロックに適用）
+    this.pendingCaption = null;
   }
 
   parse() {
@@ -411,42 +1433,79 @@ class MarkdownParser {
         continue;
       }
 
+      // テーブルの列幅指定（HTMLコメント形式）
+      const tableWidthsMatch = line.match(/^<!--\s*md2mdocx:table-widths\s+(.*?)\s*-->$/i);
+      if (tableWidthsMatch) {
+        this.parseTableWidths(tableWidthsMatch[1]);
+        this.pos++;
+        continue;
+      }
+
+      // キャプション（HTMLコメント形式、または直後のテーブルへの "Table: ..." 行）
+      const captionMatch = line.match(/^<!--\s*md2mdocx:caption\s+(.*?)\s*-->$/i);
+      const tableCaptionMatch = line.match(/^Table:\s+(.+)$/);
+      if (captionMatch || (tableCaptionMatch && this.isTableStart(this.nextNonBlankLine(this.pos + 1)))) {
+        let next = this.nextNonBlankLine(this.pos + 1);
+        // 列幅指定と併用する場合はその次の行を見る
+        if (this.lines[next]?.match(/^<!--\s*md2mdocx:table-widths/i)) next = this.nextNonBlankLine(next + 1);
+        const nextLine = this.lines[next] || '';
+        if (this.isTableStart(next) || nextLine.match(/^!\[|^<img\s/i) || nextLine.startsWith('```')) {
+          this.pendingCaption = parseCaption(captionMatch ? captionMatch[1] : tableCaptionMatch[1]);
+        } else {
+          console.warn('Warning: md2mdocx:caption is not followed by an image, table or code block');
+        }
+        this.pos++;
+        continue;
+      }
+
+      // 脚注の定義（本文からは除外）
+      if (line.match(/^\[\^[^\]\s]+\]:/)) {
+        this.parseFootnoteDefinition();
+        continue;
+      }
+
+      // テーブル（HTML形式、rowspan/colspan対応）
+      if (line.trim().match(/^<table\b/i)) {
+        this.parseHtmlTable();
+        continue;
+      }
+
       // 見出し
       const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
       if (headingMatch) {
         this.elements.push({
           type: 'heading',
           level: headingMatch[1].length,
-          text: headingMatch[2]
+          ...this.parseHeadingAttributes(headingMatch[2])
         });
         this.pos++;
         continue;
       }
 
       // 画像（Markdown形式）
-      const imageMatch = line.match(/^!\[([^\]]*)\]\(([^)]+)\)$/);
+      const imageMatch = line.match(/^!\[([^\]]*)\]\(([^)]+)\)(?:\s*\{#([^}\s]+)\})?\s*$/);
       if (imageMatch) {
         this.elements.push({
           type: 'image',
           alt: imageMatch[1],
-          src: imageMatch[2]
+          src: imageMatch[2],
+          // ![alt](src){#fig:id}（空白を挟んでもよい）はaltをキャプションにする
+          caption: this.takeCaption() || (imageMatch[3] ? { text: imageMatch[1], id: imageMatch[3] } : null)
         });
         this.pos++;
         continue;
       }
 
       // 画像（HTMLのimgタグ）
-      const imgTagMatch = line.match(/<img\s+[^>]*src=["']([^"']+)["'][^>]*>/i);
+      const imgTagMatch = line.match(/<img\s+[^>]*src=(?:"([^"]+)"|'([^']+)')[^>]*>/i);
       if (imgTagMatch) {
         const altMatch = line.match(/alt=["']([^"']*)["']/i);
-        const widthMatch = line.match(/width=["']?(\d+)["']?/i);
-        const heightMatch = line.match(/height=["']?(\d+)["']?/i);
         this.elements.push({
           type: 'image',
           alt: altMatch ? altMatch[1] : '',
-          src: imgTagMatch[1],
-          width: widthMatch ? parseInt(widthMatch[1]) : null,
-          height: heightMatch ? parseInt(heightMatch[1]) : null
+          src: imgTagMatch[1] || imgTagMatch[2],
+          ...parseImageSize(line),
+          caption: this.takeCaption()
         });
         this.pos++;
         continue;
@@ -488,12 +1547,35 @@ class MarkdownParser {
       this.parseParagraph();
     }
 
+    // 脚注の定義は本文より先に置き、以降の参照から使えるようにする
+    if (Object.keys(this.footnotes).length > 0) {
+      this.elements.unshift({ type: 'footnotes', definitions: this.footnotes });
+    }
     return this.elements;
   }
 
+  /**
+   * Split a trailing attribute block off a heading ({-}, {.unnumbered}, {#custom-id})
+   * @param {string} text - Heading text
+   * @returns {{text: string, numbered: boolean, id: string|null}}
+   */
+  parseHeadingAttributes(text) {
+    const attrMatch = text.match(/^(.*?)\s*\{([^{}]*)\}\s*$/);
+    if (!attrMatch || !/^\s*(?:(?:-|\.[\w-]+|#[^\s}]+)\s*)+$/.test(attrMatch[2])) {
+      return { text, numbered: true, id: null };
+    }
+    const attrs = attrMatch[2].trim().split(/\s+/);
+    const idAttr = attrs.find(attr => attr.startsWith('#'));
+    return {
+      text: attrMatch[1],
+      numbered: !attrs.includes('-') && !attrs.includes('.unnumbered'),
+      id: idAttr ? idAttr.slice(1) : null
+    };
+  }
+
   parseCodeBlock() {
     const startLine = this.lines[this.pos];
-    const lang = startLine.slice(3).trim();
+    const info = this.parseCodeInfo(startLine.slice(3).trim());
     this.pos++;
     
     const codeLines = [];
@@ -505,95 +1587,376 @@ class MarkdownParser {
 
     this.elements.push({
       type: 'code',
-      language: lang,
-      content: codeLines.join('\n')
+      language: info.language,
+      title: info.title,
+      lineNumbers: info.lineNumbers,
+      content: codeLines.join('\n'),
+      caption: this.takeCaption()
     });
   }
 
+  /**
+   * Parse a fence info string (```js title="app.js" showLineNumbers)
+   * @param {string} infoString - Text after the opening ```
+   * @returns {{language: string, title: string|null, lineNumbers: boolean|null}}
+   */
+  parseCodeInfo(infoString) {
+    const match = infoString.match(/^([^\s{]*)\s*(.*)$/);
+    const result = { language: match[1], title: null, lineNumbers: null };
+
+    const attrPattern = /([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|(\S+)))?/g;
+    let attr;
+    while ((attr = attrPattern.exec(match[2])) !== null) {
+      const name = attr[1].toLowerCase();
+      const value = attr[2] ?? attr[3] ?? attr[4];
+      if ((name === 'title' || name === 'filename') && value !== undefined) {
+        result.title = value;
+      } else if (name === 'showlinenumbers' || name === 'linenums' || name === 'linenumbers') {
+        result.lineNumbers = value !== 'false';
+      } else if (name === 'nolinenums' || name === 'nolinenumbers') {
+        result.lineNumbers = false;
+      }
+    }
+    return result;
+  }
+
   parseTable() {
-    const rows = [];
-    
     // ヘッダー行
-    const headerLine = this.lines[this.pos];
-    rows.push(this.parseTableRow(headerLine));
+    const header = this.parseTableRow(this.lines[this.pos]);
     this.pos++;
-    
-    // 区切り行をスキップ
+
+    // 区切り行から列ごとの配置を取得
+    const align = this.parseTableRow(this.lines[this.pos]).map(parseTableAlignment);
     this.pos++;
-    
+
     // データ行
+    const rows = [header];
     while (this.pos < this.lines.length && this.lines[this.pos].includes('|')) {
       rows.push(this.parseTableRow(this.lines[this.pos]));
       this.pos++;
     }
 
-    this.elements.push({ type: 'table', rows });
+    // 列数をヘッダーに揃える（不足分は空セル、超過分は切り捨て）
+    const colCount = header.length;
+    const normalized = rows.map(row => Array.from({ length: colCount }, (_, i) => row[i] ?? ''));
+
+    this.elements.push({
+      type: 'table',
+      rows: normalized,
+      align: Array.from({ length: colCount }, (_, i) => align[i] || null),
+      widths: this.pendingTableWidths,
+      caption: this.takeCaption() || this.parseTrailingTableCaption()
+    });
+    this.pendingTableWidths = null;
+  }
+
+  /**
+   * Index of the next non-blank line
+   * @param {number} start - Line index to start from
+   * @returns {number}
+   */
+  nextNonBlankLine(start) {
+    let next = start;
+    while (next < this.lines.length && this.lines[next].trim() === '') next++;
+    return next;
+  }
+
+  /**
+   * Whether a pipe table or an HTML table starts at the given line
+   * @param {number} idx - Line index
+   * @returns {boolean}
+   */
+  isTableStart(idx) {
+    const line = this.lines[idx];
+    if (line === undefined) return false;
+    return Boolean((line.includes('|') && idx + 1 < this.lines.length && this.lines[idx + 1].match(/^\|?[\s\-:|]+\|?$/)) ||
+      line.trim().match(/^<table\b/i));
+  }
+
+  /**
+   * Take the caption set by md2mdocx:caption or a preceding "Table:" line
+   * @returns {{text: string, id: string|null}|null}
+   */
+  takeCaption() {
+    const caption = this.pendingCaption;
+    this.pendingCaption = null;
+    return caption;
+  }
+
+  /**
+   * Consume a "Table: caption" line directly after a table (one blank line allowed)
+   * @returns {{text: string, id: string|null}|null}
+   */
+  parseTrailingTableCaption() {
+    const next = this.nextNonBlankLine(this.pos);
+    const match = next - this.pos <= 1 && this.lines[next]?.match(/^Table:\s+(.+)$/);
+    if (!match) return null;
+    this.pos = next + 1;
+    return parseCaption(match[1]);
   }
 
   parseTableRow(line) {
-    return line.split('|')
-      .map(cell => cell.trim())
-      .filter((cell, idx, arr) => idx > 0 && idx < arr.length - 1 || cell !== '');
+    return splitTableRow(line);
+  }
+
+  /**
+   * Parse an HTML <table> block into the same row model as pipe tables.
+   * Cells covered by rowspan/colspan are filled with the ^^ / << merge markers.
+   */
+  parseHtmlTable() {
+    const blockLines = [];
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      blockLines.push(line);
+      this.pos++;
+      if (line.match(/<\/table>/i)) break;
+    }
+    const html = blockLines.join('\n');
+
+    const rows = [];
+    let header = false;
+    const rowMatches = [...html.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)];
+    rowMatches.forEach((rowMatch, r) => {
+      rows[r] = rows[r] || [];
+      const cellPattern = /<(td|th)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+      let cellMatch;
+      let c = 0;
+      while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+        // 上の行の rowspan で埋まっている列を飛ばす
+        while (rows[r][c] !== undefined) c++;
+        if (r === 0 && cellMatch[1].toLowerCase() === 'th') header = true;
+
+        const rowSpanMatch = cellMatch[2].match(/rowspan=["']?(\d+)/i);
+        const colSpanMatch = cellMatch[2].match(/colspan=["']?(\d+)/i);
+        // rowspan beyond the last row is clamped (no phantom rows)
+        const rowSpan = Math.min(Math.max(parseInt(rowSpanMatch?.[1], 10) || 1, 1), rowMatches.length - r);
+        const colSpan = Math.max(parseInt(colSpanMatch?.[1], 10) || 1, 1);
+        for (let dr = 0; dr < rowSpan; dr++) {
+          rows[r + dr] = rows[r + dr] || [];
+          for (let dc = 0; dc < colSpan; dc++) {
+            rows[r + dr][c + dc] = dr === 0 && dc === 0 ? htmlToCellMarkup(cellMatch[3])
+              : dc === 0 ? TABLE_ROW_SPAN_MARKER : TABLE_COL_SPAN_MARKER;
+          }
+        }
+        c += colSpan;
+      }
+    });
+    if (rows.length === 0) {
+      console.warn('Warning: HTML table without rows was skipped');
+      return;
+    }
+
+    const colCount = Math.max(...rows.map(row => row.length));
+    this.elements.push({
+      type: 'table',
+      rows: rows.map(row => Array.from({ length: colCount }, (_, i) => row[i] ?? '')),
+      align: Array(colCount).fill(null),
+      widths: this.pendingTableWidths,
+      header,
+      caption: this.takeCaption() || this.parseTrailingTableCaption()
+    });
+    this.pendingTableWidths = null;
+  }
+
+  /**
+   * Parse the value of a <!-- md2mdocx:table-widths 20,50,30 --> directive.
+   * The widths apply to the next table and are relative (percentages or ratios).
+   * @param {string} value - Comma or space separated widths
+   */
+  parseTableWidths(value) {
+    const widths = value.split(/[\s,]+/).filter(Boolean).map(w => parseFloat(w.replace(/%$/, '')));
+    if (widths.length === 0 || widths.some(w => !(w > 0))) {
+      console.warn(`Warning: Invalid table widths "${value}" (expected e.g. 20,50,30)`);
+      return;
+    }
+
+    // 直後（空行を除く）がテーブルでなければ無視
+    if (!this.isTableStart(this.nextNonBlankLine(this.pos + 1))) {
+      console.warn('Warning: md2mdocx:table-widths is not followed by a table');
+      return;
+    }
+    this.pendingTableWidths = widths;
   }
 
   parseList(listType) {
     const items = [];
-    const topPattern = listType === 'bullet' ? /^[-*+]\s+(.+)$/ : /^\d+\.\s+(.+)$/;
-    // インデント付きリストのパターン（箇条書きと番号付き両方に対応）
-    const indentedBulletPattern = /^(\s+)[-*+]\s+(.+)$/;
-    const indentedNumberPattern = /^(\s+)\d+\.\s+(.+)$/;
+    // 箇条書き（- * +）と番号付き（1.）の項目。インデントの深さでレベルを決定
+    const itemPattern = /^(\s*)([-*+]|(\d+)\.)(\s+)(.+)$/;
+    // 各レベルの項目のインデント幅（親より深いインデントで1レベル下がる）
+    const levelIndents = [0];
+    // 開いている項目（レベルごと）と本文の開始桁
+    const openItems = [];
+    // 項目に続くブロック（段落、コードブロック、画像、テーブルなど）
+    let block = null;
+    let fence = null;
+    let blankBefore = false;
+
+    const flushBlock = () => {
+      if (!block) return;
+      while (block.lines.length > 0 && block.lines[block.lines.length - 1].trim() === '') block.lines.pop();
+      const minIndent = Math.min(...block.lines.filter(l => l.trim() !== '').map(l => l.match(/^\s*/)[0].length));
+      const source = block.lines.map(l => l.slice(Math.min(minIndent, l.match(/^\s*/)[0].length))).join('\n');
+      items.push({ level: block.level, continuation: true, children: this.parseNested(source) });
+      block = null;
+    };
 
     while (this.pos < this.lines.length) {
       const line = this.lines[this.pos];
-      const topMatch = line.match(topPattern);
 
-      if (topMatch) {
-        // トップレベルのリスト項目
-        items.push({ text: topMatch[1], level: 0 });
+      // 項目内のコードブロックは閉じるまでそのまま取り込む
+      if (fence) {
+        block.lines.push(line);
+        if (line.trim().startsWith(fence)) fence = null;
         this.pos++;
-      } else if (line.match(indentedBulletPattern)) {
-        // ネストされた箇条書き（インデントの深さでレベルを決定）
-        const match = line.match(indentedBulletPattern);
-        const indent = match[1].length;
-        // 2-3スペースでlevel 1、4-5スペースでlevel 2、以降も同様
-        const level = Math.min(Math.floor((indent + 1) / 2), 3);
-        items.push({ text: match[2], level: level });
-        this.pos++;
-      } else if (line.match(indentedNumberPattern)) {
-        // ネストされた番号付きリスト（インデントの深さでレベルを決定）
-        const match = line.match(indentedNumberPattern);
+        continue;
+      }
+
+      const match = line.match(itemPattern);
+      if (match) {
         const indent = match[1].length;
-        const level = Math.min(Math.floor((indent + 1) / 2), 3);
-        items.push({ text: match[2], level: level });
+        const ordered = match[3] !== undefined;
+        // 種類の異なるトップレベルの項目は別のリストとして扱う
+        if (indent === 0 && ordered !== (listType === 'number')) break;
+        flushBlock();
+        while (levelIndents.length > 1 && indent < levelIndents[levelIndents.length - 1]) levelIndents.pop();
+        if (indent > levelIndents[levelIndents.length - 1] && levelIndents.length < LIST_LEVEL_FORMATS.length) {
+          levelIndents.push(indent);
+        }
+        const level = levelIndents.length - 1;
+        const item = this.parseListItem(match[5], level, ordered, ordered ? parseInt(match[3], 10) : null);
+        items.push(item);
+        openItems.length = level;
+        openItems[level] = { item, contentIndent: indent + match[2].length + match[4].length };
+        blankBefore = false;
         this.pos++;
-      } else if (line.trim() === '') {
+        continue;
+      }
+
+      if (line.trim() === '') {
+        if (block) block.lines.push('');
+        blankBefore = true;
         this.pos++;
-        break;
+        continue;
+      }
+
+      // 本文の開始桁までインデントされた行は、該当する項目の続き
+      const lineIndent = line.match(/^\s*/)[0].length;
+      const owner = [...openItems].reverse().find(open => open && lineIndent >= open.contentIndent);
+      if (!owner) break;
+
+      if (!block && !blankBefore && owner === openItems[openItems.length - 1]) {
+        // 項目のテキストの折り返し
+        owner.item.text += ' ' + line.trim();
       } else {
-        break;
+        if (block && block.level !== owner.item.level) flushBlock();
+        if (!block) block = { level: owner.item.level, lines: [] };
+        // 続きのブロックの後ろの項目は別の並びとして扱う
+        openItems.length = owner.item.level + 1;
+        block.lines.push(line);
+        const fenceMatch = line.trim().match(/^(`{3,}|~{3,})/);
+        if (fenceMatch) fence = fenceMatch[1];
       }
+      blankBefore = false;
+      this.pos++;
     }
+    flushBlock();
 
     this.elements.push({ type: 'list', listType, items });
   }
 
+  /**
+   * Build a list item; "[ ] text" / "[x] text" become task items with a checked state
+   * @param {string} text - Item text after the list marker
+   * @param {number} level - Nesting level
+   * @param {boolean} ordered - Whether the item has a number marker
+   * @param {number|null} number - Number written in the source (start number of the sequence)
+   * @returns {{text: string, level: number, ordered: boolean, number: number|null, checked?: boolean}}
+   */
+  parseListItem(text, level, ordered, number) {
+    const item = { text, level, ordered, number };
+    const taskMatch = text.match(/^\[([ xX])\]\s+(.*)$/);
+    if (taskMatch) {
+      item.text = taskMatch[2];
+      item.checked = taskMatch[1] !== ' ';
+    }
+    return item;
+  }
+
   parseBlockquote() {
     const lines = [];
     while (this.pos < this.lines.length && this.lines[this.pos].startsWith('>')) {
       lines.push(this.lines[this.pos].replace(/^>\s?/, ''));
       this.pos++;
     }
-    this.elements.push({ type: 'blockquote', text: lines.join('\n') });
+
+    // GitHub形式の注記（> [!NOTE] など）
+    const admonitionMatch = lines[0].match(/^\[!(\w+)\]\s*(.*)$/);
+    if (admonitionMatch && ADMONITION_TYPES[admonitionMatch[1].toLowerCase()]) {
+      const body = lines.slice(1).join('\n');
+      this.elements.push({
+        type: 'admonition',
+        kind: admonitionMatch[1].toLowerCase(),
+        title: admonitionMatch[2].trim() || null,
+        text: body,
+        children: this.parseNested(body)
+      });
+      return;
+    }
+    // 引用の中身を再帰的にパース（入れ子の引用、箇条書き、コードブロックなど）
+    const text = lines.join('\n');
+    this.elements.push({ type: 'blockquote', text, children: this.parseNested(text) });
   }
 
-  parseParagraph() {
-    const lines = [];
+  /**
+   * Parse nested content (blockquote, list item) with its own parser;
+   * footnote definitions found inside belong to the whole document
+   * @param {string} text - Nested Markdown
+   * @returns {Array} - Parsed elements
+   */
+  parseNested(text) {
+    const parser = new MarkdownParser(text);
+    const elements = parser.parse().filter(el => el.type !== 'footnotes');
+    Object.assign(this.footnotes, parser.footnotes);
+    return elements;
+  }
+
+  /**
+   * Parse a footnote definition ([^label]: text). Indented lines continue the footnote;
+   * a blank line followed by an indented line starts a new paragraph in it.
+   */
+  parseFootnoteDefinition() {
+    const match = this.lines[this.pos].match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+    const paragraphs = [[match[2].trim()]];
+    this.pos++;
+
     while (this.pos < this.lines.length) {
       const line = this.lines[this.pos];
-      if (line.trim() === '' || line.startsWith('#') || line.startsWith('```') ||
-          line.match(/^[-*+]\s+/) || line.match(/^\d+\.\s+/) || line.startsWith('>')) {
-        break;
-      }
+      if (line.match(/^\s{2,}\S/)) {
+        paragraphs[paragraphs.length - 1].push(line.trim());
+        this.pos++;
+      } else if (line.trim() === '' && this.lines[this.pos + 1]?.match(/^\s{2,}\S/)) {
+        paragraphs.push([]);
+        this.pos++;
+      } else {
+        break;
+      }
+    }
+
+    if (this.footnotes[match[1]] !== undefined) {
+      console.warn(`Warning: Footnote [^${match[1]}] is defined more than once; using the last definition`);
+    }
+    this.footnotes[match[1]] = paragraphs.map(lines => lines.join(' ').trim()).filter(Boolean).join('\n\n');
+  }
+
+  parseParagraph() {
+    const lines = [];
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      if (line.trim() === '' || line.startsWith('#') || line.startsWith('```') ||
+          line.match(/^[-*+]\s+/) || line.match(/^\d+\.\s+/) || line.startsWith('>') ||
+          line.match(/^\[\^[^\]\s]+\]:/)) {
+        break;
+      }
       lines.push(line);
       this.pos++;
     }
@@ -603,12 +1966,531 @@ class MarkdownParser {
   }
 }
 
+// ===== Links and heading anchors =====
+/**
+ * Generate a GitHub-style slug for a heading
+ * @param {string} text - Heading text (Markdown)
+ * @returns {string} - Slug (lowercase, punctuation removed, spaces to hyphens)
+ */
+function slugifyHeading(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')  // Links and images: keep the text
+    .replace(/<[^>]+>/g, '')                     // HTML tags
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * Assign a Word bookmark to every heading, keyed by GitHub-style slug
+ * (including headings inside list items; headings in blockquotes and admonitions become plain paragraphs)
+ * @param {Array} elements - Array of parsed elements
+ * @returns {{byElement: Map<object, string>, bySlug: Map<string, string>}} - Bookmark names
+ */
+function buildHeadingAnchors(elements) {
+  const byElement = new Map();
+  const bySlug = new Map();
+  const slugCounts = new Map();
+
+  const visit = (list) => {
+    for (const el of list) {
+      if (el.children && el.type !== 'blockquote' && el.type !== 'admonition') visit(el.children);
+      if (el.items) el.items.forEach(item => item.children && visit(item.children));
+      if (el.type !== 'heading') continue;
+
+      // Duplicate slugs get -1, -2, ... like GitHub ({#custom-id} overrides the slug)
+      const baseSlug = el.id || slugifyHeading(el.text);
+      const count = slugCounts.get(baseSlug) || 0;
+      slugCounts.set(baseSlug, count + 1);
+      const slug = count === 0 ? baseSlug : `${baseSlug}-${count}`;
+
+      // Hidden bookmark name (Word: max 40 chars, letters/digits/underscore only)
+      const bookmarkName = `_Heading_${byElement.size + 1}`;
+      byElement.set(el, bookmarkName);
+      if (!bySlug.has(slug)) bySlug.set(slug, bookmarkName);
+    }
+  };
+  visit(elements);
+
+  return { byElement, bySlug };
+}
+
+// docx assigns w:id="1" to every Bookmark, so ids are numbered here instead
+let bookmarkIdCounter = 0;
+
+/**
+ * Create a bookmark with a document-unique numeric id
+ * @param {string} name - Bookmark name
+ * @param {Array} children - Paragraph children inside the bookmark
+ * @returns {Bookmark}
+ */
+function createBookmark(name, children) {
+  const bookmark = new Bookmark({ id: name, children });
+  const linkId = ++bookmarkIdCounter;
+  bookmark.start = new BookmarkStart(name, linkId);
+  bookmark.end = new BookmarkEnd(linkId);
+  return bookmark;
+}
+
+/**
+ * Get the heading slug a link points to
+ * @param {string} href - Link target
+ * @returns {string|null} - Slug for #anchor and file.md#anchor links, null for other links
+ */
+function getLinkAnchor(href) {
+  const match = href.match(/^(?:[^:#?]*\.md)?#(.+)$/i);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (e) {
+    return match[1];
+  }
+}
+
+/**
+ * Create a Word hyperlink (external URL or internal bookmark)
+ * @param {string} text - Link text (may contain inline markup)
+ * @param {string} href - Link target
+ * @param {string|null} inputDir - Base directory for images
+ * @param {object} context - Inline context (see parseInlineMarkup)
+ * @returns {Array} - Paragraph children
+ */
+function createHyperlink(text, href, inputDir, context) {
+  const children = parseInlineMarkup(text, inputDir, { ...context, runStyle: { ...context.runStyle, style: "Hyperlink" } });
+  const anchor = getLinkAnchor(href);
+
+  if (anchor === null) {
+    return [new ExternalHyperlink({ link: href, children })];
+  }
+  const bookmarkName = context.anchors ? context.anchors.get(anchor) : null;
+  if (!bookmarkName) {
+    console.warn(`Warning: Link target not found: ${href}`);
+    return parseInlineMarkup(text, inputDir, context);
+  }
+  return [new InternalHyperlink({ anchor: bookmarkName, children })];
+}
+
+// ===== Images =====
+// Default size (pixels) for images whose dimensions cannot be read
+const DEFAULT_IMAGE_WIDTH = 400;
+const DEFAULT_IMAGE_HEIGHT = 300;
+// Maximum image height (pixels), keeps tall images on one page
+const MAX_IMAGE_HEIGHT = 600;
+// Default height (pixels) for inline images without a size
+const INLINE_IMAGE_HEIGHT = 24;
+
+// Image file extensions and their ImageRun types (used when the format cannot be detected)
+const IMAGE_EXTENSION_TYPES = { jpg: 'jpg', jpeg: 'jpg', png: 'png', gif: 'gif', bmp: 'bmp', svg: 'svg', webp: 'webp' };
+
+/**
+ * Get the JPEG image dimensions from the SOF segment
+ * @param {Buffer} data - JPEG binary data
+ * @returns {{width: number, height: number}|null} - Image dimensions, null on failure
+ */
+function getJpegDimensions(data) {
+  let pos = 2;
+  while (pos + 9 < data.length) {
+    if (data[pos] !== 0xFF) return null;
+    const marker = data[pos + 1];
+    if (marker === 0xFF) {
+      // フィルバイト
+      pos++;
+      continue;
+    }
+    // SOFn（DHT/JPG/DACを除く）に幅と高さがある
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { width: data.readUInt16BE(pos + 7), height: data.readUInt16BE(pos + 5) };
+    }
+    // 長さを持たないマーカー（RSTn, SOI, TEM）
+    if ((marker >= 0xD0 && marker <= 0xD8) || marker === 0x01) {
+      pos += 2;
+      continue;
+    }
+    pos += 2 + data.readUInt16BE(pos + 2);
+  }
+  return null;
+}
+
+/**
+ * Get the WebP image dimensions from the VP8/VP8L/VP8X chunk
+ * @param {Buffer} data - WebP binary data
+ * @returns {{width: number, height: number}|null} - Image dimensions, null on failure
+ */
+function getWebpDimensions(data) {
+  if (data.length < 30) return null;
+  const chunk = data.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: data.readUInt16LE(26) & 0x3FFF, height: data.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L') {
+    const bits = data.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Detect the image format and read its intrinsic dimensions
+ * @param {Buffer} data - Image binary data
+ * @returns {{type: string, dimensions: {width: number, height: number}|null}|null} - ImageRun type ('png', 'jpg', 'gif', 'bmp', 'svg' or 'webp'), null if unknown
+ */
+function getImageInfo(data) {
+  if (data.length >= 24 && data[0] === 0x89 && data.toString('ascii', 1, 4) === 'PNG') {
+    return { type: 'png', dimensions: getPngDimensions(data) };
+  }
+  if (data.length >= 4 && data[0] === 0xFF && data[1] === 0xD8) {
+    return { type: 'jpg', dimensions: getJpegDimensions(data) };
+  }
+  if (data.length >= 10 && data.toString('ascii', 0, 4) === 'GIF8') {
+    return { type: 'gif', dimensions: { width: data.readUInt16LE(6), height: data.readUInt16LE(8) } };
+  }
+  if (data.length >= 26 && data.toString('ascii', 0, 2) === 'BM') {
+    // OS/2形式（12バイトヘッダー）は16ビット、それ以外は32ビット（高さが負ならトップダウン）
+    const dimensions = data.readUInt32LE(14) === 12
+      ? { width: data.readUInt16LE(18), height: data.readUInt16LE(20) }
+      : { width: Math.abs(data.readInt32LE(18)), height: Math.abs(data.readInt32LE(22)) };
+    return { type: 'bmp', dimensions };
+  }
+  if (data.length >= 16 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    return { type: 'webp', dimensions: getWebpDimensions(data) };
+  }
+  if (/<svg\b/i.test(data.toString('utf-8', 0, Math.min(data.length, 4096)))) {
+    return { type: 'svg', dimensions: getSvgDimensions(data) };
+  }
+  return null;
+}
+
+/**
+ * Parse the width/height attributes of an img tag
+ * @param {string} tag - img tag markup
+ * @returns {{width: number|null, height: number|null, widthPercent: number|null}} - Pixel sizes and percentage width
+ */
+function parseImageSize(tag) {
+  // srcの中（SVGのdata URIなど）のwidth/heightは無視
+  const attributes = tag.replace(/\ssrc=(["'])[\s\S]*?\1/i, '');
+  const widthMatch = attributes.match(/\swidth=["']?([\d.]+)(%?)["']?/i);
+  const heightMatch = attributes.match(/\sheight=["']?(\d+)["']?/i);
+  const width = widthMatch ? parseFloat(widthMatch[1]) : null;
+  return {
+    width: widthMatch && !widthMatch[2] ? Math.round(width) : null,
+    height: heightMatch ? parseInt(heightMatch[1]) : null,
+    widthPercent: widthMatch && widthMatch[2] ? width : null
+  };
+}
+
+/**
+ * Compute the display size of an image, keeping the aspect ratio and fitting it into the given area
+ * @param {{width: number, height: number}} dimensions - Intrinsic image size (pixels)
+ * @param {{width?: number, height?: number, widthPercent?: number}} requested - Size given in the Markdown
+ * @param {number} maxWidth - Maximum width (pixels)
+ * @param {number} maxHeight - Maximum height (pixels)
+ * @returns {{width: number, height: number}} - Display size (pixels)
+ */
+function fitImageSize(dimensions, requested, maxWidth, maxHeight) {
+  const ratio = dimensions.width > 0 && dimensions.height > 0 ? dimensions.height / dimensions.width : 0.75;
+  let width = requested.widthPercent ? maxWidth * requested.widthPercent / 100 : requested.width;
+  let height = requested.height;
+
+  // 幅か高さの一方だけ指定された場合は縦横比を保つ
+  if (width && !height) {
+    height = width * ratio;
+  } else if (height && !width) {
+    width = height / ratio;
+  } else if (!width && !height) {
+    width = dimensions.width;
+    height = dimensions.height;
+  }
+
+  // 本文幅・最大高さに収まるよう縮小
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+/**
+ * Load an image for embedding
+ * @param {string} src - Image path (relative to inputDir), data URI or http(s) URL
+ * @param {string} inputDir - Base directory for relative paths
+ * @param {Map<string, Buffer|null>} remoteImages - Remote images from prefetchImages()
+ * @returns {{source: object, dimensions: {width: number, height: number}|null}|null} - ImageRun type/data options and intrinsic size, null if not found
+ */
+function loadImage(src, inputDir, remoteImages = new Map()) {
+  const isLocal = !REMOTE_IMAGE_PATTERN.test(src) && !DATA_URI_PATTERN.test(src);
+  const imgPath = isLocal ? (path.isAbsolute(src) ? src : path.join(inputDir, src)) : null;
+  const data = isLocal
+    ? (fs.existsSync(imgPath) ? fs.readFileSync(imgPath) : null)
+    : decodeDataUri(src) || remoteImages.get(src);
+  if (!data) return null;
+
+  const info = getImageInfo(data);
+  const ext = isLocal ? path.extname(imgPath) : path.extname(src.replace(/[?#].*$/, ''));
+  const type = info ? info.type : IMAGE_EXTENSION_TYPES[ext.slice(1).toLowerCase()] || 'png';
+  const dimensions = info ? info.dimensions : null;
+
+  if (type === 'svg') {
+    // SVGは同名のPNGがあればそれを、なければSVGをラスタライズしてフォールバックにする
+    const pngPath = imgPath && imgPath.replace(/\.svg$/i, '') + '.png';
+    const fallback = pngPath && fs.existsSync(pngPath)
+      ? fs.readFileSync(pngPath)
+      : createSvgFallback(data, (dimensions ? dimensions.width : DEFAULT_IMAGE_WIDTH) * 2);
+    return { source: { type: 'svg', data, fallback: { type: 'png', data: fallback } }, dimensions };
+  }
+  return { source: { type, data }, dimensions };
+}
+
+/**
+ * Register the WebP content type in a packed document
+ * (docx declares only PNG, JPEG, GIF, BMP and SVG; WebP images are embedded as is)
+ * @param {Buffer} buffer - docx binary data
+ * @returns {Promise<Buffer>} - docx binary data
+ */
+async function addWebpContentType(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const contentTypes = await zip.file('[Content_Types].xml').async('string');
+  zip.file('[Content_Types].xml',
+    contentTypes.replace('<Default ', '<Default Extension="webp" ContentType="image/webp"/><Default '));
+  return zip.generateAsync({
+    type: 'nodebuffer',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    compression: 'DEFLATE'
+  });
+}
+
+// ===== Remote images =====
+// http(s) images are fetched before conversion and cached as <url hash><ext>
+const REMOTE_IMAGE_PATTERN = /^https?:\/\//i;
+const DATA_URI_PATTERN = /^data:([^,]*),(.*)$/is;
+const IMAGE_FETCH_CONCURRENCY = 4;
+const IMAGE_FETCH_MAX_REDIRECTS = 5;
+
+/**
+ * Short label for an image source in placeholders and warnings (data URIs are truncated)
+ * @param {string} src - Image source
+ * @returns {string}
+ */
+function describeImageSource(src) {
+  const match = src.match(DATA_URI_PATTERN);
+  return match ? `data:${match[1]},...` : src;
+}
+
+/**
+ * Decode a data URI (base64 or percent-encoded)
+ * @param {string} src - data: URI
+ * @returns {Buffer|null} - Decoded data, null if src is not a data URI
+ */
+function decodeDataUri(src) {
+  const match = src.match(DATA_URI_PATTERN);
+  if (!match) return null;
+  return /;base64$/i.test(match[1])
+    ? Buffer.from(match[2].replace(/\s+/g, ''), 'base64')
+    : Buffer.from(decodeURIComponent(match[2]), 'utf-8');
+}
+
+/**
+ * Build remote image settings from options
+ * @param {object} options - Resolved options
+ * @param {string} inputDir - Base directory of the cache path
+ * @returns {{dir: string|null, refresh: boolean, offline: boolean, timeout: number, headers: object}} - Fetch settings
+ */
+function getImageFetchSettings(options, inputDir) {
+  const timeout = Number(options["image-timeout"]);
+  return {
+    dir: options["image-cache"] ? path.resolve(inputDir, String(options["image-cache"])) : null,
+    refresh: options["refresh-images"] === true,
+    offline: options.offline === true,
+    timeout: timeout > 0 ? timeout : 30000,
+    headers: parseHeaderOption(options["image-headers"])
+  };
+}
+
+/**
+ * Download a remote image (follows redirects)
+ * @param {string} url - http(s) URL
+ * @param {object} headers - Request headers
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {number} redirects - Remaining redirects
+ * @returns {Promise<Buffer>} - Response body
+ * @throws {Error} - On HTTP errors, timeouts and connection errors
+ */
+function fetchImage(url, headers, timeout, redirects = IMAGE_FETCH_MAX_REDIRECTS) {
+  const client = url.startsWith('http:') ? require('http') : require('https');
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers, timeout }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects <= 0) {
+          reject(new Error('Too many redirects'));
+          return;
+        }
+        // 別のオリジンへのリダイレクトには追加ヘッダー（認証情報など）を送らない
+        let location;
+        try {
+          location = new URL(res.headers.location, url);
+        } catch (e) {
+          reject(new Error(`Invalid redirect: ${res.headers.location}`));
+          return;
+        }
+        const sameOrigin = location.origin === new URL(url).origin;
+        resolve(fetchImage(location.href, sameOrigin ? headers : {}, timeout, redirects - 1));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode}`));
+        return;
+      }
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', (e) => reject(new Error(`Connection error: ${e.message}`)));
+    });
+
+    req.on('error', (e) => reject(new Error(`Connection error: ${e.message}`)));
+    req.on('timeout', () => {
+      reject(new Error('Timeout'));
+      req.destroy();
+    });
+  });
+}
+
+/**
+ * Get a remote image from the cache or the network
+ * @param {string} url - http(s) URL
+ * @param {object} settings - Settings from getImageFetchSettings()
+ * @returns {Promise<Buffer|null>} - Image data, null on failure
+ */
+async function fetchImageCached(url, settings) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    console.warn(`Warning: Invalid image URL: ${url}`);
+    return null;
+  }
+  const ext = path.extname(pathname).toLowerCase();
+  const cachePath = settings.dir
+    ? path.join(settings.dir, hashText(url) + (IMAGE_EXTENSION_TYPES[ext.slice(1)] ? ext : ''))
+    : null;
+
+  if (cachePath && fs.existsSync(cachePath) && (!settings.refresh || settings.offline)) {
+    return fs.readFileSync(cachePath);
+  }
+  if (settings.offline) {
+    console.warn(`Warning: Image is not cached (offline): ${url}`);
+    return null;
+  }
+
+  try {
+    const data = await fetchImage(url, settings.headers, settings.timeout);
+    if (cachePath) {
+      try {
+        fs.mkdirSync(settings.dir, { recursive: true });
+        fs.writeFileSync(cachePath, data);
+      } catch (e) {
+        console.warn(`Warning: Failed to write image cache: ${e.message}`);
+      }
+    }
+    return data;
+  } catch (e) {
+    // 取得に失敗した場合は古いキャッシュを使用
+    if (cachePath && fs.existsSync(cachePath)) {
+      console.warn(`Warning: Using cached image (${e.message}): ${url}`);
+      return fs.readFileSync(cachePath);
+    }
+    console.warn(`Warning: Failed to fetch image (${e.message}): ${url}`);
+    return null;
+  }
+}
+
+/**
+ * Collect the http(s) image URLs of block images and inline img tags
+ * Only text that is rendered as inline markup is searched; code blocks and code spans are skipped.
+ * @param {Array} elements - Array of parsed elements
+ * @returns {Set<string>}
+ */
+function collectRemoteImages(elements) {
+  const urls = new Set();
+  const imgTagPattern = /<img\s+[^>]*src=(?:"([^"]+)"|'([^']+)')/gi;
+  const visitText = (text) => {
+    if (typeof text !== 'string') return;
+    for (const match of text.replace(/`.+?`/g, '').matchAll(imgTagPattern)) {
+      const src = match[1] || match[2];
+      if (REMOTE_IMAGE_PATTERN.test(src)) urls.add(src);
+    }
+  };
+  const visit = (el) => {
+    switch (el.type) {
+      case 'image':
+        if (REMOTE_IMAGE_PATTERN.test(el.src)) urls.add(el.src);
+        break;
+      case 'paragraph':
+        visitText(el.text);
+        break;
+      case 'list':
+        el.items.forEach(item => {
+          visitText(item.text);
+          (item.children || []).forEach(visit);
+        });
+        break;
+      case 'table':
+        el.rows.forEach(row => row.forEach(visitText));
+        break;
+      case 'blockquote':
+      case 'admonition':
+        el.children.forEach(visit);
+        break;
+    }
+  };
+  elements.forEach(visit);
+  return urls;
+}
+
+/**
+ * Fetch all remote images used in the document
+ * @param {Array} elements - Array of parsed elements
+ * @param {object} settings - Settings from getImageFetchSettings()
+ * @param {Function|null} onProgress - Progress callback (see createProgress())
+ * @returns {Promise<Map<string, Buffer|null>>} - Map of URL to image data
+ */
+async function prefetchImages(elements, settings, onProgress = null) {
+  const urls = [...collectRemoteImages(elements)];
+  const images = new Map();
+  if (urls.length === 0) return images;
+
+  const progress = createProgress('Fetching images...', urls.length, onProgress);
+  await runWithConcurrency(urls, IMAGE_FETCH_CONCURRENCY, async (url) => {
+    images.set(url, await fetchImageCached(url, settings));
+    progress.tick();
+  });
+  return images;
+}
+
 // ===== Inline markup processing =====
-function parseInlineMarkup(text, inputDir = null) {
+/**
+ * Convert inline Markdown to Word runs
+ * @param {string} text - Inline Markdown text
+ * @param {string|null} inputDir - Base directory for images (null: images shown as text)
+ * @param {object} context - Inline context
+ * @param {Map<string, string>} [context.anchors] - Heading slug to bookmark name
+ * @param {object} [context.runStyle] - Run properties applied to every text run
+ * @param {function(string): number|null} [context.footnote] - Footnote label to footnote id
+ * @param {Map<string, object>} [context.captions] - Caption id (fig:x, tbl:x) to caption target
+ * @param {Map<string, Buffer|null>} [context.images] - Remote images from prefetchImages()
+ * @param {object} [context.theme] - Theme from getThemeColors() (default: blue)
+ * @returns {Array} - Paragraph children
+ */
+function parseInlineMarkup(text, inputDir = null, context = {}) {
   const runs = [];
   let remaining = text;
+  const theme = context.theme || getThemeColors();
+  const baseRun = { font: theme.fonts.body, size: theme.sizes.body, ...context.runStyle };
+  const errorRun = { font: theme.fonts.body, size: theme.sizes.body, color: theme.error };
 
-  // 正規表現パターン
+  // 正規表現パターン（コード以外は中身もインライン記法として解釈する）
   const patterns = [
     { regex: /\*\*\*(.+?)\*\*\*/, style: { bold: true, italics: true } },
     { regex: /\*\*(.+?)\*\*/, style: { bold: true } },
@@ -616,13 +2498,20 @@ function parseInlineMarkup(text, inputDir = null) {
     { regex: /__(.+?)__/, style: { bold: true } },
     { regex: /_(.+?)_/, style: { italics: true } },
     { regex: /~~(.+?)~~/, style: { strike: true } },
-    { regex: /`(.+?)`/, style: { shading: { fill: "E8E8E8", type: ShadingType.CLEAR } } }
+    { regex: /`(.+?)`/, style: { shading: { fill: theme.inlineCode, type: ShadingType.CLEAR } }, code: true }
   ];
 
   // imgタグのパターン
-  const imgPattern = /<img\s+[^>]*src=["']([^"']+)["'][^>]*>/i;
+  const imgPattern = /<img\s+[^>]*src=(?:"([^"]+)"|'([^']+)')[^>]*>/i;
   // brタグのパターン
   const brPattern = /<br\s*\/?>/i;
+  // リンクのパターン（[text](url "title")、<https://...>）
+  const linkPattern = /(?<!!)\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/;
+  const autolinkPattern = /<((?:https?:\/\/|mailto:)[^>\s]+)>/i;
+  // 脚注の参照（[^label]）
+  const footnotePattern = /\[\^([^\]\s]+)\]/;
+  // 図表の参照（@fig:id、@tbl:id）
+  const captionRefPattern = /(?<![\w@])@((?:fig|tbl):[\w-]+)/;
 
   while (remaining.length > 0) {
     let earliest = { index: remaining.length, length: 0, text: remaining, style: {}, type: 'text' };
@@ -638,17 +2527,64 @@ function parseInlineMarkup(text, inputDir = null) {
       };
     }
 
+    // リンクをチェック
+    const linkMatch = remaining.match(linkPattern);
+    if (linkMatch && linkMatch.index < earliest.index) {
+      earliest = {
+        index: linkMatch.index,
+        length: linkMatch[0].length,
+        text: linkMatch[1],
+        href: linkMatch[2],
+        before: remaining.slice(0, linkMatch.index),
+        type: 'link'
+      };
+    }
+    const autolinkMatch = remaining.match(autolinkPattern);
+    if (autolinkMatch && autolinkMatch.index < earliest.index) {
+      earliest = {
+        index: autolinkMatch.index,
+        length: autolinkMatch[0].length,
+        text: autolinkMatch[1].replace(/^mailto:/i, ''),
+        href: autolinkMatch[1],
+        before: remaining.slice(0, autolinkMatch.index),
+        type: 'link'
+      };
+    }
+
+    // 脚注の参照をチェック
+    const footnoteMatch = context.footnote ? remaining.match(footnotePattern) : null;
+    if (footnoteMatch && footnoteMatch.index < earliest.index) {
+      earliest = {
+        index: footnoteMatch.index,
+        length: footnoteMatch[0].length,
+        text: footnoteMatch[0],
+        label: footnoteMatch[1],
+        before: remaining.slice(0, footnoteMatch.index),
+        type: 'footnote'
+      };
+    }
+
+    // 図表の参照をチェック
+    const captionRefMatch = context.captions ? remaining.match(captionRefPattern) : null;
+    if (captionRefMatch && captionRefMatch.index < earliest.index) {
+      earliest = {
+        index: captionRefMatch.index,
+        length: captionRefMatch[0].length,
+        text: captionRefMatch[0],
+        id: captionRefMatch[1],
+        before: remaining.slice(0, captionRefMatch.index),
+        type: 'captionRef'
+      };
+    }
+
     // imgタグをチェック
     const imgMatch = remaining.match(imgPattern);
     if (imgMatch && imgMatch.index < earliest.index) {
-      const widthMatch = imgMatch[0].match(/width=["']?(\d+)["']?/i);
-      const heightMatch = imgMatch[0].match(/height=["']?(\d+)["']?/i);
       earliest = {
         index: imgMatch.index,
         length: imgMatch[0].length,
-        src: imgMatch[1],
-        width: widthMatch ? parseInt(widthMatch[1]) : null,
-        height: heightMatch ? parseInt(heightMatch[1]) : null,
+        src: imgMatch[1] || imgMatch[2],
+        size: parseImageSize(imgMatch[0]),
         before: remaining.slice(0, imgMatch.index),
         type: 'image'
       };
@@ -664,62 +2600,684 @@ function parseInlineMarkup(text, inputDir = null) {
           text: match[1],
           style: p.style,
           before: remaining.slice(0, match.index),
-          type: 'text'
+          type: p.code ? 'text' : 'styled'
         };
       }
     }
 
     if (earliest.before) {
-      runs.push(new TextRun({ text: earliest.before, font: "Meiryo", size: 22 }));
+      runs.push(new TextRun({ text: earliest.before, ...baseRun }));
     }
 
     if (earliest.index < remaining.length) {
       if (earliest.type === 'break') {
         // 強制改行
         runs.push(new TextRun({ break: 1 }));
-      } else if (earliest.type === 'image' && inputDir) {
+      } else if (earliest.type === 'footnote') {
+        // 脚注（未定義のラベルはそのまま表示）
+        const footnoteId = context.footnote(earliest.label);
+        runs.push(footnoteId ? new FootnoteReferenceRun(footnoteId) : new TextRun({ text: earliest.text, ...baseRun }));
+      } else if (earliest.type === 'captionRef') {
+        // 図表番号への参照（REFフィールド、未定義のIDはそのまま表示）
+        const target = context.captions.get(earliest.id);
+        if (!target) console.warn(`Warning: Caption reference ${earliest.text} is not defined`);
+        runs.push(target
+          ? new SimpleField(`REF ${target.bookmark} \\h`, `${target.label} ${target.number}`)
+          : new TextRun({ text: earliest.text, ...baseRun }));
+      } else if (earliest.type === 'link') {
+        // ハイパーリンク
+        runs.push(...createHyperlink(earliest.text, earliest.href, inputDir, context));
+      } else if (earliest.type === 'image' && (inputDir || REMOTE_IMAGE_PATTERN.test(earliest.src) || DATA_URI_PATTERN.test(earliest.src))) {
         // 画像を埋め込み
         try {
-          const imgPath = path.isAbsolute(earliest.src) ? earliest.src : path.join(inputDir, earliest.src);
-          if (fs.existsSync(imgPath)) {
-            const imgData = fs.readFileSync(imgPath);
-            const ext = path.extname(imgPath).slice(1).toLowerCase();
-            const typeMap = { jpg: 'jpg', jpeg: 'jpg', png: 'png', gif: 'gif', bmp: 'bmp' };
-            const imgWidth = earliest.width || 24;
-            const imgHeight = earliest.height || earliest.width || 24;
+          const image = loadImage(earliest.src, inputDir, context.images);
+          if (image) {
+            // サイズ指定がなければ行の高さに合わせる
+            const size = earliest.size.width || earliest.size.height || earliest.size.widthPercent
+              ? earliest.size
+              : { height: INLINE_IMAGE_HEIGHT };
+            const dimensions = image.dimensions || { width: INLINE_IMAGE_HEIGHT, height: INLINE_IMAGE_HEIGHT };
             runs.push(new ImageRun({
-              type: typeMap[ext] || 'png',
-              data: imgData,
-              transformation: { width: imgWidth, height: imgHeight }
+              ...image.source,
+              transformation: fitImageSize(dimensions, size, CONTENT_WIDTH / 1440 * 96, MAX_IMAGE_HEIGHT)
             }));
           } else {
-            runs.push(new TextRun({ text: `[Image: ${earliest.src}]`, font: "Meiryo", size: 22, color: "FF0000" }));
+            runs.push(new TextRun({ text: `[Image: ${describeImageSource(earliest.src)}]`, ...errorRun }));
           }
         } catch (e) {
-          runs.push(new TextRun({ text: `[Image error]`, font: "Meiryo", size: 22, color: "FF0000" }));
+          runs.push(new TextRun({ text: `[Image error]`, ...errorRun }));
         }
       } else if (earliest.type === 'image') {
         // Display as text when inputDir is not available
-        runs.push(new TextRun({ text: `[Image]`, font: "Meiryo", size: 22 }));
+        runs.push(new TextRun({ text: `[Image]`, ...baseRun }));
+      } else if (earliest.type === 'styled') {
+        // 装飾の中のリンク・画像・入れ子の装飾
+        const runStyle = { ...context.runStyle, ...earliest.style };
+        runs.push(...parseInlineMarkup(earliest.text, inputDir, { ...context, runStyle }));
       } else {
-        runs.push(new TextRun({ text: earliest.text, font: "Meiryo", size: 22, ...earliest.style }));
+        runs.push(new TextRun({ text: earliest.text, ...baseRun, ...earliest.style }));
       }
       remaining = remaining.slice(earliest.index + earliest.length);
     } else {
       if (remaining.length > 0) {
-        runs.push(new TextRun({ text: remaining, font: "Meiryo", size: 22 }));
+        runs.push(new TextRun({ text: remaining, ...baseRun }));
+      }
+      break;
+    }
+  }
+
+  return runs.length > 0 ? runs : [new TextRun({ text: text, ...baseRun })];
+}
+
+// ===== Syntax highlighting =====
+/**
+ * Build a sticky regular expression matching whole words
+ * @param {string[]} words - Words to match
+ * @param {string} flags - Extra regex flags (e.g. 'i')
+ * @returns {RegExp}
+ */
+function wordPattern(words, flags = '') {
+  return new RegExp(`\\b(?:${words.join('|')})\\b`, `y${flags}`);
+}
+
+const JS_KEYWORDS = ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'get', 'if',
+  'import', 'in', 'instanceof', 'let', 'new', 'of', 'return', 'set', 'static', 'switch', 'throw', 'try',
+  'typeof', 'var', 'void', 'while', 'with', 'yield',
+  // TypeScript
+  'abstract', 'as', 'declare', 'enum', 'implements', 'interface', 'keyof', 'namespace', 'private',
+  'protected', 'public', 'readonly', 'type'];
+const JAVA_KEYWORDS = ['abstract', 'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+  'do', 'else', 'enum', 'extends', 'final', 'finally', 'for', 'goto', 'if', 'implements', 'import',
+  'instanceof', 'interface', 'native', 'new', 'package', 'private', 'protected', 'public', 'record', 'return',
+  'static', 'strictfp', 'super', 'switch', 'synchronized', 'throw', 'throws', 'transient', 'try', 'var',
+  'void', 'volatile', 'while', 'yield', 'boolean', 'byte', 'char', 'double', 'float', 'int', 'long', 'short'];
+const CSHARP_KEYWORDS = ['abstract', 'as', 'async', 'await', 'base', 'break', 'case', 'catch', 'checked', 'class',
+  'const', 'continue', 'default', 'delegate', 'do', 'else', 'enum', 'event', 'explicit', 'extern', 'finally',
+  'fixed', 'for', 'foreach', 'get', 'goto', 'if', 'implicit', 'in', 'init', 'interface', 'internal', 'is',
+  'lock', 'namespace', 'new', 'operator', 'out', 'override', 'params', 'partial', 'private', 'protected',
+  'public', 'readonly', 'record', 'ref', 'return', 'sealed', 'set', 'sizeof', 'static', 'struct', 'switch',
+  'throw', 'try', 'typeof', 'unchecked', 'unsafe', 'using', 'var', 'virtual', 'void', 'volatile', 'when',
+  'where', 'while', 'yield', 'bool', 'byte', 'char', 'decimal', 'double', 'float', 'int', 'long', 'object',
+  'sbyte', 'short', 'string', 'uint', 'ulong', 'ushort'];
+const PYTHON_KEYWORDS = ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+  'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+  'match', 'case', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'];
+const BASH_KEYWORDS = ['if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case',
+  'esac', 'in', 'function', 'select', 'return', 'local', 'export', 'readonly', 'declare', 'unset', 'source',
+  'exit', 'shift', 'trap'];
+const SQL_KEYWORDS = ['select', 'from', 'where', 'and', 'or', 'not', 'in', 'is', 'like', 'between', 'exists',
+  'insert', 'into', 'values', 'update', 'set', 'delete', 'create', 'alter', 'drop', 'truncate', 'table',
+  'view', 'index', 'unique', 'primary', 'foreign', 'key', 'references', 'constraint', 'default', 'check',
+  'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'on', 'using', 'group', 'by', 'order', 'asc',
+  'desc', 'having', 'limit', 'offset', 'union', 'all', 'distinct', 'as', 'case', 'when', 'then', 'else',
+  'end', 'begin', 'commit', 'rollback', 'transaction', 'with', 'returning', 'if', 'grant', 'revoke',
+  'int', 'integer', 'bigint', 'smallint', 'varchar', 'char', 'text', 'date', 'timestamp', 'boolean',
+  'decimal', 'numeric', 'serial', 'float', 'real'];
+
+// Shared rules: C-style comments, strings and numbers
+const C_COMMENT_RULE = { type: 'comment', regex: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y };
+const C_STRING_RULE = { type: 'string', regex: /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/y };
+const NUMBER_RULE = { type: 'number', regex: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[nLlFfDdMm]?\b/y };
+const TYPE_RULE = { type: 'type', regex: /\b[A-Z][\w$]*/y };
+const FUNCTION_RULE = { type: 'function', regex: /[A-Za-z_$][\w$]*(?=\s*\()/y };
+const IDENTIFIER_RULE = { type: null, regex: /[A-Za-z_$][\w$]*/y };
+
+// Token rules per language (tried in order at each position)
+const SYNTAX_RULES = {
+  javascript: [
+    C_COMMENT_RULE,
+    { type: 'string', regex: /`(?:\\[\s\S]|[^\\`])*`/y },
+    C_STRING_RULE,
+    { type: 'literal', regex: wordPattern(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity', 'this', 'super']) },
+    { type: 'keyword', regex: wordPattern(JS_KEYWORDS) },
+    NUMBER_RULE, FUNCTION_RULE, TYPE_RULE, IDENTIFIER_RULE
+  ],
+  python: [
+    { type: 'comment', regex: /#.*/y },
+    { type: 'string', regex: /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*')/y },
+    { type: 'attr', regex: /@[\w.]+/y },
+    { type: 'literal', regex: wordPattern(['True', 'False', 'None', 'self', 'cls']) },
+    { type: 'keyword', regex: wordPattern(PYTHON_KEYWORDS) },
+    NUMBER_RULE, FUNCTION_RULE, TYPE_RULE, IDENTIFIER_RULE
+  ],
+  bash: [
+    { type: 'comment', regex: /(?<=^|\s)#.*/my },
+    { type: 'string', regex: /"(?:\\[\s\S]|[^\\"])*"|'[^']*'/y },
+    { type: 'variable', regex: /\$(?:\{[^}\n]*\}|\w+|[@#?$!*0-9-])/y },
+    { type: 'keyword', regex: wordPattern(BASH_KEYWORDS) },
+    { type: 'attr', regex: /(?<=\s)--?[\w-]+/y },
+    { type: 'number', regex: /\b\d+\b/y },
+    { type: null, regex: /[\w.\/-]+/y }
+  ],
+  json: [
+    C_COMMENT_RULE,
+    { type: 'property', regex: /"(?:\\.|[^\\"\n])*"(?=\s*:)/y },
+    { type: 'string', regex: /"(?:\\.|[^\\"\n])*"/y },
+    { type: 'literal', regex: wordPattern(['true', 'false', 'null']) },
+    { type: 'number', regex: /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y }
+  ],
+  yaml: [
+    { type: 'comment', regex: /(?<=^|\s)#.*/my },
+    { type: 'keyword', regex: /^(?:---|\.\.\.)(?=\s|$)/my },
+    { type: 'property', regex: /(?<=^[ \t]*(?:- )*)(?:"[^"\n]*"|'[^'\n]*'|[^\s#:'"\-][^:#\n]*?)(?=[ \t]*:(?:\s|$))/my },
+    { type: 'string', regex: /"(?:\\.|[^\\"\n])*"|'(?:''|[^'\n])*'/y },
+    { type: 'variable', regex: /[&*][\w-]+/y },
+    { type: 'type', regex: /!!?[\w-]+/y },
+    { type: 'literal', regex: /\b(?:true|false|null|yes|no|on|off)\b(?=[ \t]*(?:#|$))|~/imy },
+    { type: 'number', regex: /(?<=[\s:\-\[,]|^)[-+]?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?(?=[ \t]*(?:#|,|\]|$))/my },
+    { type: null, regex: /[^\s#"'&*!~]+/y }
+  ],
+  sql: [
+    { type: 'comment', regex: /--.*|\/\*[\s\S]*?(?:\*\/|$)/y },
+    { type: 'string', regex: /'(?:''|[^'])*'/y },
+    { type: 'property', regex: /"(?:""|[^"\n])*"|`[^`\n]*`|\[[^\]\n]*\]/y },
+    { type: 'literal', regex: wordPattern(['null', 'true', 'false'], 'i') },
+    { type: 'keyword', regex: wordPattern(SQL_KEYWORDS, 'i') },
+    { type: 'variable', regex: /[@:$]\w+|\?/y },
+    NUMBER_RULE, FUNCTION_RULE, IDENTIFIER_RULE
+  ],
+  xml: [
+    { type: 'comment', regex: /<!--[\s\S]*?(?:-->|$)/y },
+    { type: 'string', regex: /<!\[CDATA\[[\s\S]*?(?:\]\]>|$)/y },
+    { type: 'tag', regex: /<[?!]?\/?[\w:.-]+|\/?[?]?>/y },
+    { type: 'attr', regex: /[\w:.-]+(?=\s*=\s*["'])/y },
+    { type: 'string', regex: /"[^"]*"|'[^']*'/y },
+    { type: 'literal', regex: /&#?\w+;/y },
+    { type: null, regex: /[^<&"'\w]+|\w+/y }
+  ],
+  java: [
+    C_COMMENT_RULE,
+    { type: 'string', regex: /"""[\s\S]*?(?:"""|$)/y },
+    C_STRING_RULE,
+    { type: 'attr', regex: /@\w+/y },
+    { type: 'literal', regex: wordPattern(['true', 'false', 'null', 'this', 'super']) },
+    { type: 'keyword', regex: wordPattern(JAVA_KEYWORDS) },
+    NUMBER_RULE, FUNCTION_RULE, TYPE_RULE, IDENTIFIER_RULE
+  ],
+  csharp: [
+    C_COMMENT_RULE,
+    { type: 'keyword', regex: /^[ \t]*#\w+.*/my },
+    { type: 'string', regex: /\$?@"(?:""|[^"])*"|@?\$"(?:\\.|[^\\"\n])*"/y },
+    C_STRING_RULE,
+    { type: 'literal', regex: wordPattern(['true', 'false', 'null', 'this', 'base']) },
+    { type: 'keyword', regex: wordPattern(CSHARP_KEYWORDS) },
+    NUMBER_RULE, FUNCTION_RULE, TYPE_RULE, IDENTIFIER_RULE
+  ]
+};
+
+// Code block language aliases for syntax highlighting
+const SYNTAX_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+  typescript: 'javascript', ts: 'javascript', tsx: 'javascript',
+  py: 'python', python3: 'python',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  jsonc: 'json', json5: 'json',
+  yml: 'yaml',
+  mysql: 'sql', postgresql: 'sql', postgres: 'sql', sqlite: 'sql', plsql: 'sql', tsql: 'sql',
+  html: 'xml', xhtml: 'xml', svg: 'xml', xsd: 'xml', xsl: 'xml', plist: 'xml',
+  cs: 'csharp', 'c#': 'csharp'
+};
+
+/**
+ * Split source code into colored tokens, line by line
+ * @param {string} code - Source code
+ * @param {string} language - Code block language tag
+ * @returns {Array<Array<{text: string, type: string|null}>>|null} - Tokens per line, null if unsupported
+ */
+function highlightCode(code, language) {
+  const lang = (language || '').toLowerCase();
+  const rules = SYNTAX_RULES[SYNTAX_ALIASES[lang] || lang];
+  if (!rules) return null;
+
+  // Tokenize the whole block so that multi-line comments and strings are handled
+  const tokens = [];
+  const pushToken = (text, type) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      tokens.push({ text, type });
+    }
+  };
+
+  let pos = 0;
+  while (pos < code.length) {
+    let matched = false;
+    for (const rule of rules) {
+      rule.regex.lastIndex = pos;
+      const match = rule.regex.exec(code);
+      if (match && match[0].length > 0) {
+        pushToken(match[0], rule.type);
+        pos += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      pushToken(code[pos], null);
+      pos++;
+    }
+  }
+
+  // Split tokens at line breaks
+  const lines = [[]];
+  for (const token of tokens) {
+    const parts = token.text.split('\n');
+    parts.forEach((part, idx) => {
+      if (idx > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ text: part, type: token.type });
+    });
+  }
+  return lines;
+}
+
+// ===== Code block layout =====
+const CODE_CONTINUATION_MARKER = '↪';
+
+/**
+ * Display width of a character in monospace columns (East Asian wide characters count as 2)
+ * @param {string} ch - Single character
+ * @returns {number}
+ */
+function charColumns(ch) {
+  return /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]|[\u{20000}-\u{3FFFD}]/u.test(ch) ? 2 : 1;
+}
+
+/**
+ * Expand tabs to spaces, keeping tab stops aligned
+ * @param {string} line - Source line
+ * @param {number} tabSize - Tab width in columns
+ * @returns {string}
+ */
+function expandTabs(line, tabSize) {
+  let result = '';
+  let column = 0;
+  for (const ch of line) {
+    if (ch === '\t') {
+      const spaces = tabSize - (column % tabSize);
+      result += ' '.repeat(spaces);
+      column += spaces;
+    } else {
+      result += ch;
+      column += charColumns(ch);
+    }
+  }
+  return result;
+}
+
+/**
+ * Wrap a tokenized line at a column limit
+ * @param {Array<{text: string, type: string|null}>} tokens - Tokens of one line
+ * @param {number} maxColumns - Maximum columns per output line
+ * @returns {Array<Array<{text: string, type: string|null}>>} - Wrapped segments
+ */
+function wrapCodeTokens(tokens, maxColumns) {
+  const segments = [[]];
+  let column = 0;
+  for (const token of tokens) {
+    let text = '';
+    for (const ch of token.text) {
+      const width = charColumns(ch);
+      if (column + width > maxColumns && column > 0) {
+        if (text) segments[segments.length - 1].push({ text, type: token.type });
+        segments.push([]);
+        text = '';
+        column = 0;
+      }
+      text += ch;
+      column += width;
+    }
+    if (text) segments[segments.length - 1].push({ text, type: token.type });
+  }
+  return segments;
+}
+
+/**
+ * Create a code block: one bordered, shaded box with optional title and line numbers
+ * @param {object} el - Code element ({ language, title, lineNumbers, content })
+ * @param {object} options - Resolved options
+ * @param {number} indent - Left indent in TWIP
+ * @returns {Paragraph[]}
+ */
+function createCodeBlock(el, options, indent) {
+  const theme = getThemeColors(options.theme);
+  // Keep the body font for Japanese text in code (comments, strings) unless a code font is set
+  const font = { ...theme.fonts.code, eastAsia: theme.fonts.code.eastAsia || theme.fonts.body.eastAsia };
+  const fontSize = theme.sizes.code;
+  // Approximate monospace character width in TWIP (0.6em)
+  const charWidth = Math.round(fontSize / 2 * 20 * 0.6);
+  const syntaxColors = theme.syntax;
+  const tabSize = parseInt(options["code-tab-size"], 10) > 0 ? parseInt(options["code-tab-size"], 10) : 4;
+  const showLineNumbers = el.lineNumbers !== null && el.lineNumbers !== undefined
+    ? el.lineNumbers
+    : options["code-line-numbers"] === true;
+
+  const sourceLines = el.content.split('\n').map(line => expandTabs(line, tabSize));
+  const expanded = sourceLines.join('\n');
+  const highlighted = options["syntax-highlight"] !== false ? highlightCode(expanded, el.language) : null;
+
+  // Gutter: right-aligned line number plus two spaces
+  const gutterColumns = showLineNumbers ? String(sourceLines.length).length + 2 : 0;
+  const boxBorder = { style: BorderStyle.SINGLE, size: 4, color: theme.codeBorder, space: 4 };
+  const borders = { top: boxBorder, bottom: boxBorder, left: boxBorder, right: boxBorder };
+  const textWidth = CONTENT_WIDTH - indent - 2 * (boxBorder.space * 20);
+  const maxColumns = Math.max(Math.floor(textWidth / charWidth) - gutterColumns, 20);
+
+  const run = (text, extra = {}) => new TextRun({ text, font, size: fontSize, ...extra });
+  const gutterRun = (text) => run(text.padStart(gutterColumns - 2) + '  ', { color: syntaxColors.comment });
+
+  // Build output lines (wrapped long lines continue with a marker)
+  const outputLines = [];
+  sourceLines.forEach((line, lineIdx) => {
+    const tokens = highlighted ? highlighted[lineIdx] : [{ text: line, type: null }];
+    wrapCodeTokens(tokens, maxColumns - (showLineNumbers ? 0 : 2)).forEach((segment, segmentIdx) => {
+      const runs = [];
+      if (showLineNumbers) {
+        runs.push(gutterRun(segmentIdx === 0 ? String(lineIdx + 1) : CODE_CONTINUATION_MARKER));
+      } else if (segmentIdx > 0) {
+        runs.push(run(`${CODE_CONTINUATION_MARKER} `, { color: syntaxColors.comment }));
+      }
+      for (const token of segment) {
+        runs.push(run(token.text, {
+          color: token.type ? syntaxColors[token.type] : undefined,
+          italics: token.type === 'comment' || undefined
+        }));
+      }
+      outputLines.push(runs.length > 0 ? runs : [run(' ')]);
+    });
+  });
+
+  const paragraphs = [];
+  if (el.title) {
+    // Title bar as its own box directly above the code
+    paragraphs.push(new Paragraph({
+      keepNext: true,
+      keepLines: true,
+      indent: { left: indent },
+      spacing: { before: 120, after: 0 },
+      shading: { fill: theme.codeTitle, type: ShadingType.CLEAR },
+      border: borders,
+      children: [run(el.title, { bold: true })]
+    }));
+  }
+  outputLines.forEach((runs, idx) => {
+    const isLast = idx === outputLines.length - 1;
+    // Identical borders on consecutive paragraphs are drawn by Word as one box;
+    // keepNext keeps the block on one page when it fits
+    paragraphs.push(new Paragraph({
+      keepNext: !isLast,
+      keepLines: true,
+      indent: { left: indent, hanging: 0 },
+      spacing: { before: idx === 0 && !el.title ? 120 : 0, after: isLast ? 120 : 0, line: 240 },
+      shading: { fill: theme.codeBackground, type: ShadingType.CLEAR },
+      border: borders,
+      children: runs
+    }));
+  });
+  return paragraphs;
+}
+
+// ===== Table layout =====
+// Relative column weight bounds, in display columns of the longest cell line
+const TABLE_MIN_COLUMN_WEIGHT = 4;
+const TABLE_MAX_COLUMN_WEIGHT = 40;
+// Merge markers: a cell containing only ^^ joins the cell above, << joins the cell to the left
+// (\^^ and \<< are literal cell texts)
+const TABLE_ROW_SPAN_MARKER = '^^';
+const TABLE_COL_SPAN_MARKER = '<<';
+const TABLE_ESCAPED_MARKER_PATTERN = /^\\(\^\^|<<)$/;
+
+/**
+ * Split a Markdown table row into cells.
+ * Pipes escaped as \| or inside inline code do not separate cells.
+ * @param {string} line - Table row
+ * @returns {string[]} - Trimmed cell texts (escaped pipes unescaped)
+ */
+function splitTableRow(line) {
+  const cells = [];
+  let cell = '';
+  let i = 0;
+  while (i < line.length) {
+    const ch = line[i];
+    if (ch === '\\' && line[i + 1] === '|') {
+      cell += '|';
+      i += 2;
+    } else if (ch === '`') {
+      // Copy a code span verbatim up to the closing backtick run of the same length
+      const fence = line.slice(i).match(/^`+/)[0];
+      const closePattern = new RegExp(`(?<!\`)${fence}(?!\`)`, 'g');
+      closePattern.lastIndex = i + fence.length;
+      const close = closePattern.exec(line)?.index ?? -1;
+      if (close === -1) {
+        cell += fence;
+        i += fence.length;
+      } else {
+        cell += line.slice(i, close + fence.length).replace(/\\\|/g, '|');
+        i = close + fence.length;
+      }
+    } else if (ch === '|') {
+      cells.push(cell.trim());
+      cell = '';
+      i++;
+    } else {
+      cell += ch;
+      i++;
+    }
+  }
+  cells.push(cell.trim());
+
+  // 先頭・末尾の | の外側にある空セルを除去
+  return cells.filter((c, idx, arr) => idx > 0 && idx < arr.length - 1 || c !== '');
+}
+
+/**
+ * Column alignment from a separator row cell (:--- left, :---: center, ---: right)
+ * @param {string} cell - Separator cell
+ * @returns {string|null} - 'left' | 'center' | 'right', or null when unspecified
+ */
+function parseTableAlignment(cell) {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  if (left && right) return 'center';
+  if (right) return 'right';
+  if (left) return 'left';
+  return null;
+}
+
+/**
+ * Convert the inner HTML of a <td>/<th> to the Markdown cell markup used by pipe tables
+ * (paragraphs and list items separated by <br>)
+ * @param {string} html - Cell content
+ * @returns {string}
+ */
+function htmlToCellMarkup(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+  return html
+    .replace(/<(ul|ol)\b[^>]*>([\s\S]*?)<\/\1>/gi, (_, listTag, items) => {
+      const texts = [...items.matchAll(/<li\b[^>]*>([\s\S]*?)(?:<\/li>|(?=<li\b)|$)/gi)].map(m => m[1].trim());
+      const marker = (idx) => listTag.toLowerCase() === 'ol' ? `${idx + 1}. ` : '- ';
+      return '<br>' + texts.map((text, idx) => marker(idx) + text).join('<br>') + '<br>';
+    })
+    .replace(/<\/p>\s*<p\b[^>]*>/gi, '<br>')
+    .replace(/<\/?p\b[^>]*>/gi, '')
+    .replace(/<\/?(strong|b)>/gi, '**')
+    .replace(/<\/?(em|i)>/gi, '*')
+    .replace(/<\/?code>/gi, '`')
+    .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+    .replace(/<(?!br\b|img\b)\/?[a-z][^>]*>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => entities[name])
+    .split(/<br\s*\/?>/i)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join('<br>')
+    // HTMLのテキストとしての ^^ / << は結合マーカーにしない
+    .replace(/^(\^\^|<<)$/, '\\$1');
+}
+
+/**
+ * Resolve ^^ / << merge markers into cells with row and column spans.
+ * Cells are not merged across the header/body boundary.
+ * @param {string[][]} rows - Table rows
+ * @param {boolean} hasHeader - Whether the first row is the header row
+ * @returns {Array<Array<{text: string, rowSpan: number, colSpan: number}|null>>} - null for covered cells
+ */
+function resolveTableSpans(rows, hasHeader = true) {
+  const covered = rows.map(row => row.map(() => false));
+  return rows.map((row, r) => row.map((text, c) => {
+    if (covered[r][c]) return null;
+    // 結合元のないマーカーは空セルとして扱う
+    if (text === TABLE_ROW_SPAN_MARKER || text === TABLE_COL_SPAN_MARKER) {
+      return { text: '', rowSpan: 1, colSpan: 1 };
+    }
+
+    let colSpan = 1;
+    while (c + colSpan < row.length && row[c + colSpan] === TABLE_COL_SPAN_MARKER) colSpan++;
+    let rowSpan = 1;
+    const lastRow = hasHeader && r === 0 ? 1 : rows.length;
+    while (r + rowSpan < lastRow && rows[r + rowSpan][c] === TABLE_ROW_SPAN_MARKER) rowSpan++;
+    for (let dr = 0; dr < rowSpan; dr++) {
+      for (let dc = 0; dc < colSpan; dc++) {
+        if (covered[r + dr] && c + dc < covered[r + dr].length) covered[r + dr][c + dc] = true;
       }
-      break;
     }
+    return { text: text.replace(TABLE_ESCAPED_MARKER_PATTERN, '$1'), rowSpan, colSpan };
+  }));
+}
+
+/**
+ * Build the paragraphs of a table cell. <br> separates paragraphs and
+ * segments starting with "- " or "1. " become list items.
+ * @param {string} text - Cell text
+ * @param {string} alignment - Paragraph alignment (AlignmentType)
+ * @param {string|null} inputDir - Base directory for images
+ * @param {Object} context - Inline markup context
+ * @returns {Paragraph[]}
+ */
+function createTableCellParagraphs(text, alignment, inputDir, context) {
+  let number = null;
+  return text.split(/<br\s*\/?>/i).map(segment => {
+    segment = segment.trim();
+    const bulletMatch = segment.match(/^[-*+]\s+(.*)$/);
+    const numberMatch = segment.match(/^(\d+)[.)]\s+(.*)$/);
+    // 連続する番号付き項目は最初の番号から振り直す
+    number = numberMatch ? (number === null ? parseInt(numberMatch[1], 10) : number + 1) : null;
+
+    if (bulletMatch || numberMatch) {
+      const marker = bulletMatch ? '・' : `${number}.`;
+      return new Paragraph({
+        indent: { left: 360, hanging: 360 },
+        children: [
+          new TextRun({ text: marker + '\t', font: context.theme.fonts.body, size: context.theme.sizes.body }),
+          ...parseInlineMarkup(bulletMatch ? bulletMatch[1] : numberMatch[2], inputDir, context)
+        ]
+      });
+    }
+    return new Paragraph({
+      alignment,
+      children: parseInlineMarkup(segment, inputDir, context)
+    });
+  });
+}
+
+/**
+ * Display width of the longest line of a cell, ignoring inline markup
+ * @param {string} cell - Cell text
+ * @returns {number}
+ */
+function tableCellColumns(cell) {
+  const plain = cell
+    .replace(/<img\s[^>]*>/gi, 'xxxx')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_~`]/g, '');
+  return Math.max(...plain.split(/<br\s*\/?>/i).map(line =>
+    [...line.trim()].reduce((sum, ch) => sum + charColumns(ch), 0)));
+}
+
+/**
+ * Compute column widths for a table.
+ * Explicit widths are used as relative weights; otherwise the weights follow the
+ * longest cell of each column, clamped so that short and long columns stay readable.
+ * @param {string[][]} rows - Table rows (all with the same cell count)
+ * @param {number} tableWidth - Total table width in TWIP
+ * @param {number[]|null} explicitWidths - Relative widths from md2mdocx:table-widths
+ * @returns {number[]} - Column widths in TWIP (sum equals tableWidth)
+ */
+function computeTableColumnWidths(rows, tableWidth, explicitWidths) {
+  const colCount = rows[0]?.length || 1;
+  let weights;
+  if (explicitWidths) {
+    if (explicitWidths.length !== colCount) {
+      console.warn(`Warning: md2mdocx:table-widths has ${explicitWidths.length} values for ${colCount} columns`);
+    }
+    // 指定が足りない列には指定値の平均を使う
+    const mean = explicitWidths.reduce((a, b) => a + b, 0) / explicitWidths.length;
+    weights = Array.from({ length: colCount }, (_, i) => explicitWidths[i] ?? mean);
+  } else {
+    weights = Array.from({ length: colCount }, (_, col) => {
+      const longest = Math.max(...rows.map(row => tableCellColumns(row[col] || '')));
+      return Math.min(Math.max(longest, TABLE_MIN_COLUMN_WEIGHT), TABLE_MAX_COLUMN_WEIGHT);
+    });
   }
 
-  return runs.length > 0 ? runs : [new TextRun({ text: text, font: "Meiryo", size: 22 })];
+  const total = weights.reduce((a, b) => a + b, 0);
+  const widths = weights.map(w => Math.floor(tableWidth * w / total));
+  // 端数は最終列に加える
+  widths[colCount - 1] += tableWidth - widths.reduce((a, b) => a + b, 0);
+  return widths;
+}
+
+// ===== Admonitions =====
+// GitHub-style alerts (> [!NOTE] ...): default label and icon per kind
+const ADMONITION_TYPES = {
+  note: { label: 'Note', icon: 'ℹ' },
+  tip: { label: 'Tip', icon: '✔' },
+  important: { label: 'Important', icon: '❗' },
+  warning: { label: 'Warning', icon: '⚠' },
+  caution: { label: 'Caution', icon: '⛔' }
+};
+
+/**
+ * Create an admonition: a label line and the box style shared with its body elements,
+ * so that the label and body render as one bordered, shaded box
+ * @param {object} el - Admonition element ({ kind, title, children })
+ * @param {object} colors - Theme from getThemeColors()
+ * @param {number} indent - Left indent in TWIP
+ * @param {boolean} hasBody - Whether body elements follow the label
+ * @returns {{label: Paragraph, box: object}} - Label paragraph and paragraph properties for the body
+ */
+function createAdmonition(el, colors, indent, hasBody) {
+  const type = ADMONITION_TYPES[el.kind];
+  const color = colors.admonition[el.kind];
+  const sideBorder = { style: BorderStyle.SINGLE, size: 4, color: color.border, space: 4 };
+  const box = {
+    border: {
+      top: sideBorder, bottom: sideBorder, right: sideBorder,
+      left: { style: BorderStyle.SINGLE, size: 24, color: color.border, space: 6 }
+    },
+    shading: { fill: color.fill, type: ShadingType.CLEAR },
+    spacing: { before: 0, after: 60 }
+  };
+
+  const label = new Paragraph({
+    ...box,
+    indent: { left: indent, right: 0 },
+    keepNext: hasBody,
+    spacing: { before: 120, after: hasBody ? 60 : 120 },
+    children: [
+      new TextRun({ text: `${type.icon} `, font: colors.fonts.symbol, size: colors.sizes.body, color: color.border }),
+      new TextRun({ text: el.title || type.label, bold: true, font: colors.fonts.body, size: colors.sizes.body, color: color.border })
+    ]
+  });
+  return { label, box };
 }
 
 // ===== Header generation =====
 function createHeader(options) {
   const colors = getThemeColors(options.theme);
   const headerBorder = { style: BorderStyle.SINGLE, size: 24, color: colors.headerBorder };
+  const headerRun = { size: colors.sizes.header, font: colors.fonts.body, color: colors.text };
 
   // 6:4の比率
   const leftWidth = Math.floor(CONTENT_WIDTH * 0.6);
@@ -736,7 +3294,7 @@ function createHeader(options) {
                 borders: { top: {style: BorderStyle.NIL}, bottom: headerBorder, left: {style: BorderStyle.NIL}, right: {style: BorderStyle.NIL} },
                 width: { size: leftWidth, type: WidthType.DXA },
                 children: [new Paragraph({
-                  children: [new TextRun({ text: `${options.title} ${options.doctype} Version ${options.version}`, size: 18, font: "Meiryo", color: "000000" })]
+                  children: [new TextRun({ text: `${options.title} ${options.doctype} Version ${options.version}`, ...headerRun })]
                 })]
               }),
               new TableCell({
@@ -744,7 +3302,7 @@ function createHeader(options) {
                 width: { size: rightWidth, type: WidthType.DXA },
                 children: [new Paragraph({
                   alignment: AlignmentType.RIGHT,
-                  children: [new TextRun({ text: `文書管理番号: ${options.docnum}`, size: 18, font: "Meiryo", color: "000000" })]
+                  children: [new TextRun({ text: `文書管理番号: ${options.docnum}`, ...headerRun })]
                 })]
               })
             ]
@@ -756,14 +3314,15 @@ function createHeader(options) {
 }
 
 // ===== Footer generation =====
-function createFooter() {
+function createFooter(options = {}) {
+  const font = getThemeColors(options.theme).fonts.body;
   return new Footer({
     children: [new Paragraph({
       alignment: AlignmentType.CENTER,
       children: [
-        new TextRun({ text: "- ", font: "Meiryo" }),
-        new TextRun({ children: [PageNumber.CURRENT], font: "Meiryo" }),
-        new TextRun({ text: " -", font: "Meiryo" })
+        new TextRun({ text: "- ", font }),
+        new TextRun({ children: [PageNumber.CURRENT], font }),
+        new TextRun({ text: " -", font })
       ]
     })]
   });
@@ -771,34 +3330,36 @@ function createFooter() {
 
 // ===== Cover section =====
 function createCoverSection(options, inputDir) {
+  const colors = getThemeColors(options.theme);
+  const font = colors.fonts.body;
   const children = [
     new Paragraph({ spacing: { before: 2400 }, children: [] }),
     new Paragraph({
       alignment: AlignmentType.CENTER,
-      children: [new TextRun({ text: `${options.title} ${options.subtitle}`, bold: true, color: "000000", font: "Meiryo", size: 48 })]
+      children: [new TextRun({ text: `${options.title} ${options.subtitle}`, bold: true, color: colors.text, font, size: colors.sizes.coverTitle })]
     }),
     new Paragraph({
       alignment: AlignmentType.CENTER,
       spacing: { after: 240 },
-      children: [new TextRun({ text: options.doctype, color: "000000", font: "Meiryo", size: 36 })]
+      children: [new TextRun({ text: options.doctype, color: colors.text, font, size: colors.sizes.coverDoctype })]
     }),
     new Paragraph({
       alignment: AlignmentType.CENTER,
       spacing: { before: 480, after: 480 },
-      children: [new TextRun({ text: `Version ${options.version}`, font: "Meiryo", size: 28 })]
+      children: [new TextRun({ text: `Version ${options.version}`, color: colors.text, font, size: colors.sizes.coverVersion })]
     }),
     new Paragraph({ spacing: { before: 1200 }, children: [] }),
     new Paragraph({
       alignment: AlignmentType.CENTER,
-      children: [new TextRun({ text: options.date, color: "000000", font: "Meiryo", size: 24 })]
+      children: [new TextRun({ text: options.date, color: colors.text, font, size: colors.sizes.coverInfo })]
     }),
     new Paragraph({
       alignment: AlignmentType.CENTER,
-      children: [new TextRun({ text: options.company, color: "000000", font: "Meiryo", size: 24 })]
+      children: [new TextRun({ text: options.company, color: colors.text, font, size: colors.sizes.coverInfo })]
     }),
     new Paragraph({
       alignment: AlignmentType.CENTER,
-      children: [new TextRun({ text: options.dept, color: "000000", font: "Meiryo", size: 24 })]
+      children: [new TextRun({ text: options.dept, color: colors.text, font, size: colors.sizes.coverInfo })]
     })
   ];
 
@@ -832,7 +3393,7 @@ function createCoverSection(options, inputDir) {
       page: { margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 }, size: { width: 11906, height: 16838 } }
     },
     headers: { default: createHeader(options) },
-    footers: { default: createFooter() },
+    footers: { default: createFooter(options) },
     children: children
   };
 }
@@ -858,7 +3419,7 @@ function extractChangelog(markdown) {
 
     // Parse table row
     if (line.includes('|')) {
-      const cells = line.split('|').map(c => c.trim()).filter((c, idx, arr) => idx > 0 && idx < arr.length - 1 || c !== '');
+      const cells = splitTableRow(line);
       if (cells.length >= 3) {
         dataRows.push({
           version: cells[0],
@@ -875,6 +3436,8 @@ function extractChangelog(markdown) {
 // ===== Change history section =====
 function createHistorySection(options, changelog) {
   const colors = getThemeColors(options.theme);
+  const tableBorder = { style: BorderStyle.SINGLE, size: 1, color: colors.tableBorder };
+  const cellRun = { font: colors.fonts.body, size: colors.sizes.history };
 
   // Prepare change history data
   const historyData = changelog || [
@@ -887,17 +3450,17 @@ function createHistorySection(options, changelog) {
       new TableCell({
         borders: { top: tableBorder, bottom: tableBorder, left: tableBorder, right: tableBorder },
         width: { size: 1800, type: WidthType.DXA },
-        children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: item.version, font: "Meiryo", size: 20 })] })]
+        children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: item.version, ...cellRun })] })]
       }),
       new TableCell({
         borders: { top: tableBorder, bottom: tableBorder, left: tableBorder, right: tableBorder },
         width: { size: 2000, type: WidthType.DXA },
-        children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: item.date, font: "Meiryo", size: 20 })] })]
+        children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: item.date, ...cellRun })] })]
       }),
       new TableCell({
         borders: { top: tableBorder, bottom: tableBorder, left: tableBorder, right: tableBorder },
         width: { size: 5226, type: WidthType.DXA },
-        children: [new Paragraph({ children: [new TextRun({ text: item.description, font: "Meiryo", size: 20 })] })]
+        children: [new Paragraph({ children: [new TextRun({ text: item.description, ...cellRun })] })]
       })
     ]
   }));
@@ -905,9 +3468,9 @@ function createHistorySection(options, changelog) {
   return {
     properties: { page: { margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 } } },
     headers: { default: createHeader(options) },
-    footers: { default: createFooter() },
+    footers: { default: createFooter(options) },
     children: [
-      new Paragraph({ children: [new TextRun({ text: "[Change History]", bold: true, font: "Meiryo", size: 22 })] }),
+      new Paragraph({ children: [new TextRun({ text: "[Change History]", bold: true, font: colors.fonts.body, size: colors.sizes.historyTitle })] }),
       new Table({
         columnWidths: [1800, 2000, 5226],
         rows: [
@@ -918,19 +3481,19 @@ function createHistorySection(options, changelog) {
                 borders: { top: tableBorder, bottom: tableBorder, left: tableBorder, right: tableBorder },
                 width: { size: 1800, type: WidthType.DXA },
                 shading: { fill: colors.tableHeader, type: ShadingType.CLEAR },
-                children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: "Version", bold: true, font: "Meiryo", size: 20 })] })]
+                children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: "Version", bold: true, ...cellRun })] })]
               }),
               new TableCell({
                 borders: { top: tableBorder, bottom: tableBorder, left: tableBorder, right: tableBorder },
                 width: { size: 2000, type: WidthType.DXA },
                 shading: { fill: colors.tableHeader, type: ShadingType.CLEAR },
-                children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: "Date", bold: true, font: "Meiryo", size: 20 })] })]
+                children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: "Date", bold: true, ...cellRun })] })]
               }),
               new TableCell({
                 borders: { top: tableBorder, bottom: tableBorder, left: tableBorder, right: tableBorder },
                 width: { size: 5226, type: WidthType.DXA },
                 shading: { fill: colors.tableHeader, type: ShadingType.CLEAR },
-                children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: "Description", bold: true, font: "Meiryo", size: 20 })] })]
+                children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: "Description", bold: true, ...cellRun })] })]
               })
             ]
           }),
@@ -943,37 +3506,420 @@ function createHistorySection(options, changelog) {
 
 // ===== Table of contents section =====
 function createTOCSection(options) {
+  const colors = getThemeColors(options.theme);
+  // Heading levels shown in the TOC (1-6)
+  const tocDepth = Math.min(Math.max(parseInt(options["toc-depth"], 10) || 3, 1), 6);
+
   return {
     properties: { page: { margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 } } },
     headers: { default: createHeader(options) },
-    footers: { default: createFooter() },
+    footers: { default: createFooter(options) },
     children: [
-      new Paragraph({ children: [new TextRun({ text: "Table of Contents", bold: true, font: "Meiryo", size: 28 })] }),
-      new TableOfContents("Table of Contents", { hyperlink: true, headingStyleRange: "1-3" })
+      new Paragraph({ children: [new TextRun({ text: "Table of Contents", bold: true, font: colors.fonts.body, size: colors.sizes.sectionTitle })] }),
+      new TableOfContents("Table of Contents", { hyperlink: true, headingStyleRange: `1-${tocDepth}` }),
+      ...createCaptionListSection(options["list-of-figures"] === true, "List of Figures", CAPTION_SEQUENCES.fig, colors),
+      ...createCaptionListSection(options["list-of-tables"] === true, "List of Tables", CAPTION_SEQUENCES.tbl, colors)
     ]
   };
 }
 
+/**
+ * List of figures / tables built by Word from the SEQ fields of the captions
+ * @param {boolean} enabled - Whether to add the list
+ * @param {string} title - List title
+ * @param {string} sequence - SEQ identifier
+ * @param {object} colors - Theme from getThemeColors()
+ * @returns {Array} - Title paragraph and TOC field (empty when disabled)
+ */
+function createCaptionListSection(enabled, title, sequence, colors) {
+  if (!enabled) return [];
+  return [
+    new Paragraph({
+      spacing: { before: 480 },
+      children: [new TextRun({ text: title, bold: true, font: colors.fonts.body, size: colors.sizes.sectionTitle })]
+    }),
+    new TableOfContents(title, { hyperlink: true, captionLabelIncludingNumbers: sequence })
+  ];
+}
+
+// ===== Heading numbering =====
+const HEADING_NUMBERING_REFERENCE = 'heading-numbering';
+
+/**
+ * Get heading numbering settings from options
+ * @param {object} options - Resolved options
+ * @returns {{levels: number, formats: string[]}|null} - null when numbering is disabled
+ */
+function getHeadingNumbering(options) {
+  if (options["heading-numbering"] !== true) return null;
+
+  const levels = Math.min(Math.max(parseInt(options["heading-numbering-levels"], 10) || 3, 1), 6);
+  let formats = options["heading-numbering-format"] || [];
+  if (typeof formats === 'string') {
+    formats = formats.split(',').map(format => format.trim());
+  }
+  // Levels without an explicit format: %1.%2.…%n.
+  const result = [];
+  for (let i = 0; i < 6; i++) {
+    const fallback = Array.from({ length: i + 1 }, (_, n) => `%${n + 1}`).join('.') + '.';
+    result.push(formats[i] ? String(formats[i]) : fallback);
+  }
+  return { levels, formats: result };
+}
+
+/**
+ * Create the multi-level numbering definition for headings
+ *
+ * The numbering is linked to the Heading styles (see getHeadingStyleNumbering()), so headings
+ * added in Word are numbered too; {-} / {.unnumbered} headings opt out per paragraph.
+ * @param {{levels: number, formats: string[]}} headingNumbering - Settings from getHeadingNumbering()
+ * @returns {object} - Numbering config for the Document
+ */
+function createHeadingNumberingConfig(headingNumbering) {
+  return {
+    reference: HEADING_NUMBERING_REFERENCE,
+    levels: headingNumbering.formats.map((format, level) => ({
+      level,
+      format: LevelFormat.DECIMAL,
+      text: format,
+      alignment: AlignmentType.LEFT,
+      suffix: LevelSuffix.SPACE,
+      style: { paragraph: { indent: { left: HEADING_STYLES[level + 1].indent, hanging: 0 } } }
+    }))
+  };
+}
+
+/**
+ * Get the numbering properties of a Heading style
+ * @param {{levels: number, formats: string[]}|null} headingNumbering - Settings from getHeadingNumbering()
+ * @param {number} level - Heading level (1-6)
+ * @returns {object|undefined} - Paragraph numbering option, undefined when the level is not numbered
+ */
+function getHeadingStyleNumbering(headingNumbering, level) {
+  if (!headingNumbering || level > headingNumbering.levels) return undefined;
+  // custom: keep docx from adding the ListParagraph style to the Heading style
+  return { reference: HEADING_NUMBERING_REFERENCE, level: level - 1, custom: true };
+}
+
+// ===== Lists =====
+// Numbered list formats per nesting level (1. / a. / i. / 1.)
+const LIST_LEVEL_FORMATS = [
+  { format: LevelFormat.DECIMAL, text: '%1.' },
+  { format: LevelFormat.LOWER_LETTER, text: '%2.' },
+  { format: LevelFormat.LOWER_ROMAN, text: '%3.' },
+  { format: LevelFormat.DECIMAL, text: '%4.' }
+];
+
+/**
+ * Whether a list item is numbered (string items and items without a type follow the list)
+ * @param {object} el - List element
+ * @param {string|object} item - List item
+ * @returns {boolean}
+ */
+function isOrderedListItem(el, item) {
+  return typeof item === 'string' || item.ordered === undefined ? el.listType === 'number' : item.ordered;
+}
+
+/**
+ * Split the numbered items of a list into sequences of consecutive numbered siblings.
+ * Each sequence gets its own Word numbering, so nested sequences restart under every
+ * parent item and bullet items between numbered ones keep their own type.
+ * @param {object} el - List element
+ * @returns {{sequences: Array<{level: number, start: number}>, items: Array<{sequence: number, number: number}|null>}}
+ *   - items[i] is null for bullet items
+ */
+function getListSequences(el) {
+  const sequences = [];
+  const open = []; // Open sequence per level
+  const items = el.items.map(item => {
+    const level = typeof item === 'string' ? 0 : item.level;
+    open.length = level + 1;
+    // A continuation block ends the nested sequences but not the item's own one
+    if (item.continuation) return null;
+    if (!isOrderedListItem(el, item)) {
+      open[level] = undefined;
+      return null;
+    }
+    if (open[level] === undefined) {
+      sequences.push({ level, start: item.number > 0 ? item.number : 1, count: 0 });
+      open[level] = sequences.length - 1;
+    }
+    const sequence = sequences[open[level]];
+    return { sequence: open[level], number: sequence.start + sequence.count++ };
+  });
+  return { sequences: sequences.map(({ level, start }) => ({ level, start })), items };
+}
+
+/**
+ * Format a list number as text for the given level (used where Word numbering is not available)
+ * @param {number} number - Item number
+ * @param {number} level - Nesting level
+ * @returns {string} - e.g. "3.", "b.", "iv."
+ */
+function formatListNumber(number, level) {
+  const format = LIST_LEVEL_FORMATS[level % LIST_LEVEL_FORMATS.length].format;
+  if (format === LevelFormat.LOWER_LETTER) {
+    let text = '';
+    for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+      text = String.fromCharCode(97 + (n - 1) % 26) + text;
+    }
+    return `${text}.`;
+  }
+  if (format === LevelFormat.LOWER_ROMAN) {
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+      [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let text = '';
+    let n = number;
+    for (const [value, numeral] of numerals) {
+      for (; n >= value; n -= value) text += numeral;
+    }
+    return `${text}.`;
+  }
+  return `${number}.`;
+}
+
+/**
+ * Create the numbering definition of one numbered sequence (1. / a. / i. by level)
+ * @param {string} reference - Numbering reference
+ * @param {number} indent - Indent of the section containing the list (TWIP)
+ * @param {{level: number, start: number}} sequence - Sequence from getListSequences()
+ * @returns {object} - Numbering config for the Document
+ */
+function createListNumberingConfig(reference, indent, sequence) {
+  return {
+    reference,
+    levels: LIST_LEVEL_FORMATS.map((levelFormat, level) => ({
+      level,
+      format: levelFormat.format,
+      text: levelFormat.text,
+      start: level === sequence.level ? sequence.start : 1,
+      alignment: AlignmentType.LEFT,
+      style: { paragraph: { indent: { left: indent + 720 + level * 360, hanging: 360 } } }
+    }))
+  };
+}
+
+// ===== Task lists =====
+/**
+ * Create the checkbox of a task list item
+ * @param {boolean} checked - Whether the item is checked
+ * @param {object} options - Resolved options ("task-checkbox": control | glyph)
+ * @returns {CheckBox|TextRun} - Content control that can be ticked in Word, or a plain glyph
+ */
+function createTaskCheckbox(checked, options) {
+  const theme = getThemeColors(options.theme);
+  const font = theme.fonts.checkbox;
+  if (options["task-checkbox"] === 'glyph') {
+    return new TextRun({ text: checked ? '☑' : '☐', font, size: theme.sizes.body });
+  }
+  return new CheckBox({
+    checked,
+    checkedState: { value: '2611', font },
+    uncheckedState: { value: '2610', font }
+  });
+}
+
+// ===== Footnotes =====
+
+/**
+ * Get the Word footnote id for a label, creating the footnote on its first reference
+ * @param {object} footnotes - Footnote state ({ definitions, ids, notes })
+ * @param {string} label - Footnote label ([^label])
+ * @param {string|null} inputDir - Base directory for images
+ * @param {object} headingAnchors - Heading anchors from buildHeadingAnchors()
+ * @param {object} theme - Theme from getThemeColors()
+ * @returns {number|null} - Footnote id, or null when the label is not defined
+ */
+function getFootnoteId(footnotes, label, inputDir, headingAnchors, theme) {
+  if (footnotes.ids.has(label)) return footnotes.ids.get(label);
+
+  const definition = footnotes.definitions[label];
+  if (definition === undefined) {
+    console.warn(`Warning: Footnote [^${label}] is not defined`);
+    footnotes.ids.set(label, null);
+    return null;
+  }
+
+  const id = Object.keys(footnotes.notes).length + 1;
+  footnotes.ids.set(label, id);
+  const noteContext = { anchors: headingAnchors.bySlug, runStyle: { size: theme.sizes.footnote }, theme };
+  footnotes.notes[id] = {
+    children: definition.split('\n\n').map(text => new Paragraph({
+      children: parseInlineMarkup(text, inputDir, noteContext)
+    }))
+  };
+  return id;
+}
+
+// ===== Captions and cross-references =====
+// SEQ field identifiers (fixed so that the lists of figures/tables find them whatever the label)
+const CAPTION_SEQUENCES = { fig: 'Figure', tbl: 'Table' };
+
+/**
+ * Split caption text and an optional trailing {#fig:id} / {#tbl:id}
+ * @param {string} text - Caption text
+ * @returns {{text: string, id: string|null}}
+ */
+function parseCaption(text) {
+  const match = text.match(/^(.*?)\s*\{#([^}\s]+)\}\s*$/);
+  return match ? { text: match[1], id: match[2] } : { text: text.trim(), id: null };
+}
+
+/**
+ * Number the captions of figures (images, diagrams) and tables in document order,
+ * including those inside blockquotes and list items
+ * @param {Array} elements - Parsed elements
+ * @param {object} options - Resolved options
+ * @returns {{byElement: Map<object, object>, byId: Map<string, object>}}
+ *   - target: { kind, number, label, text, bookmark }
+ */
+function buildCaptionTargets(elements, options) {
+  const byElement = new Map();
+  const byId = new Map();
+  const counts = { fig: 0, tbl: 0 };
+  const labels = { fig: options["figure-label"] || 'Figure', tbl: options["table-label"] || 'Table' };
+
+  const visit = (list) => {
+    for (const el of list) {
+      if (el.children) visit(el.children);
+      if (el.items) el.items.forEach(item => item.children && visit(item.children));
+
+      let caption = el.caption;
+      if (!caption && el.type === 'image' && el.alt && options["figure-captions"] === true) {
+        caption = { text: el.alt, id: null };
+      }
+      if (!caption || !['image', 'code', 'table'].includes(el.type)) continue;
+
+      const kind = el.type === 'table' ? 'tbl' : 'fig';
+      counts[kind]++;
+      const target = {
+        kind,
+        number: counts[kind],
+        label: labels[kind],
+        text: caption.text,
+        bookmark: `_${CAPTION_SEQUENCES[kind]}_${counts[kind]}`
+      };
+      byElement.set(el, target);
+      if (caption.id) {
+        if (byId.has(caption.id)) console.warn(`Warning: Caption id #${caption.id} is used more than once`);
+        byId.set(caption.id, target);
+      }
+    }
+  };
+  visit(elements);
+  return { byElement, byId };
+}
+
+/**
+ * Create a caption paragraph ("Figure 3: text") with a SEQ field Word can renumber
+ * and a bookmark for cross-references
+ * @param {object} target - Caption target from buildCaptionTargets()
+ * @param {number} indent - Left indent in TWIP
+ * @param {string|null} inputDir - Base directory for images
+ * @param {Object} context - Inline markup context
+ * @returns {Paragraph}
+ */
+function createCaption(target, indent, inputDir, context) {
+  const isFigure = target.kind === 'fig';
+  return new Paragraph({
+    style: "Caption",
+    indent: { left: indent },
+    alignment: isFigure ? AlignmentType.CENTER : AlignmentType.LEFT,
+    // Table captions stay with the table below
+    keepNext: !isFigure,
+    children: [
+      createBookmark(target.bookmark, [
+        new TextRun({ text: `${target.label} ` }),
+        new SimpleField(`SEQ ${CAPTION_SEQUENCES[target.kind]} \\* ARABIC`, String(target.number))
+      ]),
+      ...(target.text ? parseInlineMarkup(`: ${target.text}`, inputDir, { ...context, runStyle: { size: context.theme.sizes.caption, bold: true } }) : [])
+    ]
+  });
+}
+
 // ===== Convert body elements to Word elements =====
-function convertElements(elements, options, inputDir, mermaidRenderedMap = new Map()) {
+// scope is set when converting the contents of a blockquote or list item:
+// { indent, quoteDepth, listItem, box, anchors, footnotes, captions, images }
+// Footnotes are collected into scope.footnotes.notes (pass { footnotes: {} } to receive them)
+function convertElements(elements, options, inputDir, diagramRenderedMap = new Map(), scope = {}) {
   const children = [];
   let numberListRef = 0;
-  let currentSectionIndent = 0; // Current section indent
+  let currentSectionIndent = scope.indent || 0; // Current section indent
+  let currentInputDir = inputDir; // Base directory for images (changes per chapter)
+  const headingAnchors = scope.anchors || buildHeadingAnchors(elements);
+  const headingNumbering = getHeadingNumbering(options);
+  const quoteDepth = scope.quoteDepth || 0;
+  // Word numbering is only registered for top-level lists (see convert())
+  const literalListNumbers = quoteDepth > 0 || scope.listItem === true || Boolean(scope.box);
+  // Code blocks and callouts are offset from body text, except under a list item
+  const blockOffset = scope.listItem ? 0 : 360;
+  // 引用内の段落・箇条書きは左線付きの斜体
+  const theme = getThemeColors(options.theme);
+  const bodyRun = { font: theme.fonts.body, size: theme.sizes.body };
+  const tableBorder = { style: BorderStyle.SINGLE, size: 1, color: theme.tableBorder };
+  const quoteBorder = quoteDepth > 0
+    ? { left: { style: BorderStyle.SINGLE, size: 24, color: theme.quoteBorder, space: 8 } }
+    : undefined;
+  // Paragraph properties of text blocks (admonition bodies share the box of their label)
+  const blockStyle = scope.box || { border: quoteBorder };
+  const captions = scope.captions || buildCaptionTargets(elements, options);
+  const footnotes = scope.footnotes || {};
+  footnotes.notes = footnotes.notes || {};
+  footnotes.definitions = footnotes.definitions || {};
+  footnotes.ids = footnotes.ids || new Map();
+  const remoteImages = scope.images || new Map();
+  const inlineContext = {
+    anchors: headingAnchors.bySlug,
+    runStyle: quoteDepth > 0 ? { italics: true } : undefined,
+    captions: captions.byId,
+    images: remoteImages,
+    theme,
+    footnote: (label) => getFootnoteId(footnotes, label, currentInputDir, headingAnchors, theme)
+  };
 
   for (const el of elements) {
+    // Table captions go above the table, figure captions below the image
+    const caption = captions.byElement.get(el);
+    if (caption && caption.kind === 'tbl') {
+      children.push(createCaption(caption, currentSectionIndent, currentInputDir, inlineContext));
+    }
+
     switch (el.type) {
+      case 'footnotes':
+        // Footnote labels are scoped to their source file (chapter)
+        footnotes.definitions = el.definitions;
+        footnotes.ids = new Map();
+        break;
+
+      case 'chapter':
+        // Each chapter starts on a new page; footnotes of the previous chapter go out of scope
+        currentInputDir = el.inputDir;
+        currentSectionIndent = 0;
+        footnotes.definitions = {};
+        footnotes.ids = new Map();
+        if (children.length > 0) {
+          children.push(new Paragraph({
+            children: [new PageBreak()]
+          }));
+        }
+        break;
+
       case 'heading': {
-        const headingLevel = el.level <= 3 ? el.level : 3;
-        const sizeMap = { 1: 28, 2: 24, 3: 22 };
-        const spacingMap = { 1: { before: 360, after: 240 }, 2: { before: 240, after: 180 }, 3: { before: 180, after: 120 } };
-        const headingStyleMap = { 1: HeadingLevel.HEADING_1, 2: HeadingLevel.HEADING_2, 3: HeadingLevel.HEADING_3 };
-        // No indent for #, 360 for ## and below
-        currentSectionIndent = el.level === 1 ? 0 : 360;
+        const headingStyle = HEADING_STYLES[el.level];
+        currentSectionIndent = headingStyle.indent;
+        // Numbering comes from the Heading style; unnumbered headings turn it off (numId 0)
+        const styleNumbered = Boolean(getHeadingStyleNumbering(headingNumbering, el.level));
         children.push(new Paragraph({
-          heading: headingStyleMap[headingLevel],
-          spacing: spacingMap[headingLevel],
+          heading: HEADING_LEVELS[el.level - 1],
+          spacing: headingStyle.spacing,
           indent: { left: currentSectionIndent },
-          children: [new TextRun({ text: el.text, bold: true, font: "Meiryo", size: sizeMap[headingLevel] })]
+          numbering: styleNumbered && el.numbered === false ? false : undefined,
+          children: [createBookmark(headingAnchors.byElement.get(el), [
+            new TextRun({
+              text: el.text, bold: true, italics: headingStyle.italics,
+              font: theme.fonts.heading, size: theme.sizes[`heading${el.level}`], color: theme.headingText
+            })
+          ])]
         }));
         break;
       }
@@ -981,76 +3927,100 @@ function convertElements(elements, options, inputDir, mermaidRenderedMap = new M
       case 'paragraph':
         children.push(new Paragraph({
           indent: { left: currentSectionIndent },
-          children: parseInlineMarkup(el.text, inputDir)
+          ...blockStyle,
+          children: parseInlineMarkup(el.text, currentInputDir, inlineContext)
         }));
         break;
 
-      case 'list':
-        // Count numbered lists
-        if (el.listType === 'number') numberListRef++;
-        const listRef = `number-${numberListRef}-indent${currentSectionIndent}`;
+      case 'list': {
+        // Numbered sequences use Word numbering (one definition each, see getListSequences);
+        // in quotes and list items the numbers are written as text
+        const { sequences, items: sequenceItems } = getListSequences(el);
+        const firstListRef = numberListRef + 1;
+        if (!literalListNumbers) numberListRef += sequences.length;
 
-        for (const item of el.items) {
+        el.items.forEach((item, itemIdx) => {
           const itemText = typeof item === 'string' ? item : item.text;
           const itemLevel = typeof item === 'string' ? 0 : item.level;
-          const baseIndent = currentSectionIndent + 720;
-          const itemIndent = baseIndent + itemLevel * 360;
+          const itemIndent = currentSectionIndent + 720 + itemLevel * 360;
+          const sequenceItem = sequenceItems[itemIdx];
 
-          if (el.listType === 'number' && itemLevel === 0) {
-            // Use numbering for numbered lists
+          if (typeof item !== 'string' && item.continuation) {
+            // Paragraphs, code, images and tables under an item line up with its text
+            children.push(...convertElements(item.children, options, currentInputDir, diagramRenderedMap, {
+              indent: itemIndent,
+              quoteDepth,
+              listItem: true,
+              box: scope.box,
+              anchors: headingAnchors,
+              footnotes,
+              captions,
+              images: remoteImages
+            }));
+          } else if (typeof item !== 'string' && item.checked !== undefined) {
+            // Task list item: checkbox in place of the bullet, text on the hanging indent
             children.push(new Paragraph({
-              numbering: { reference: listRef, level: 0 },
-              children: parseInlineMarkup(itemText, inputDir)
+              indent: { left: itemIndent, hanging: 360 },
+              ...blockStyle,
+              children: [
+                createTaskCheckbox(item.checked, options),
+                new TextRun({ text: '\t', ...bodyRun }),
+                ...parseInlineMarkup(itemText, currentInputDir, inlineContext)
+              ]
+            }));
+          } else if (sequenceItem && !literalListNumbers) {
+            children.push(new Paragraph({
+              numbering: { reference: `number-${firstListRef + sequenceItem.sequence}-indent${currentSectionIndent}`, level: itemLevel },
+              children: parseInlineMarkup(itemText, currentInputDir, inlineContext)
             }));
           } else {
-            // Add bullet symbol for bullet lists
-            const bullet = el.listType === 'bullet' ? (itemLevel === 0 ? '・' : '-') : '-';
+            const marker = sequenceItem ? formatListNumber(sequenceItem.number, itemLevel) : (itemLevel === 0 ? '・' : '-');
             children.push(new Paragraph({
               indent: { left: itemIndent, hanging: 360 },
+              ...blockStyle,
               children: [
-                new TextRun({ text: bullet + '\t', font: "Meiryo", size: 22 }),
-                ...parseInlineMarkup(itemText, inputDir)
+                new TextRun({ text: marker + '\t', ...bodyRun, ...inlineContext.runStyle }),
+                ...parseInlineMarkup(itemText, currentInputDir, inlineContext)
               ]
             }));
           }
-        }
+        });
         break;
+      }
 
-      case 'code':
-        // Mermaidコードブロックの処理
-        if (el.language === 'mermaid') {
-          const mermaidKey = el.content;
-          const imageData = mermaidRenderedMap.get(mermaidKey);
+      case 'code': {
+        // Kroki対応ダイアグラムの処理（--no-diagrams の場合は通常のコードブロックとして表示）
+        const diagramType = options.diagrams !== false ? getDiagramType(el.language) : null;
+        if (diagramType) {
+          const diagramName = DIAGRAM_TYPES[diagramType].name;
+          const image = diagramRenderedMap.get(getDiagramKey(diagramType, el.content));
 
-          if (imageData) {
-            // Get PNG image dimensions
-            const dimensions = getPngDimensions(imageData);
-            let imgWidth = dimensions ? dimensions.width : MERMAID_IMAGE_WIDTH;
-            let imgHeight = dimensions ? dimensions.height : Math.round(MERMAID_IMAGE_WIDTH * 0.6);
+          if (image) {
+            // Get image dimensions
+            const dimensions = image.type === 'svg' ? getSvgDimensions(image.data) : getPngDimensions(image.data);
 
             // Scale down to fit page width/height (TWIP to pixels: 1 inch = 1440 TWIP, 96 dpi)
             const maxWidth = (CONTENT_WIDTH - currentSectionIndent) / 1440 * 96;
-            const maxHeight = 600; // Maximum height (pixels)
-            if (imgWidth > maxWidth || imgHeight > maxHeight) {
-              const scaleW = maxWidth / imgWidth;
-              const scaleH = maxHeight / imgHeight;
-              const scale = Math.min(scaleW, scaleH);
-              imgWidth = Math.round(imgWidth * scale);
-              imgHeight = Math.round(imgHeight * scale);
-            }
-
-            // Embed as PNG image
+            const size = fitImageSize(
+              dimensions || { width: DIAGRAM_IMAGE_WIDTH, height: Math.round(DIAGRAM_IMAGE_WIDTH * 0.6) },
+              {}, maxWidth, MAX_IMAGE_HEIGHT
+            );
+
+            // Embed as image (SVG needs a raster fallback for older Word versions; 2x for sharpness)
+            const imageSource = image.type === 'svg'
+              ? { type: 'svg', data: image.data, fallback: { type: 'png', data: createSvgFallback(image.data, size.width * 2) } }
+              : { type: 'png', data: image.data };
             children.push(new Paragraph({
               indent: { left: currentSectionIndent },
               alignment: AlignmentType.CENTER,
+              keepNext: Boolean(caption),
               children: [new ImageRun({
-                type: 'png',
-                data: imageData,
-                transformation: { width: imgWidth, height: imgHeight },
+                ...imageSource,
+                transformation: size,
                 altText: {
-                  title: 'Mermaid Diagram',
-                  description: 'Mermaid diagram',
-                  name: 'mermaid-diagram'
+                  title: `${diagramName} Diagram`,
+                  description: `${diagramName} diagram`,
+                  name: `${diagramType}-diagram`
                 }
               })]
             }));
@@ -1058,14 +4028,14 @@ function convertElements(elements, options, inputDir, mermaidRenderedMap = new M
             // Fallback: Display warning message
             children.push(new Paragraph({
               indent: { left: currentSectionIndent },
-              shading: { fill: "FFF3CD", type: ShadingType.CLEAR },
-              border: { left: { style: BorderStyle.SINGLE, size: 12, color: "FFC107" } },
+              shading: { fill: theme.diagramWarning.fill, type: ShadingType.CLEAR },
+              border: { left: { style: BorderStyle.SINGLE, size: 12, color: theme.diagramWarning.border } },
               children: [
                 new TextRun({
-                  text: '[Mermaid diagram: Rendering failed - API connection error or offline]',
-                  font: "Meiryo",
-                  size: 20,
-                  color: "856404"
+                  text: `[${diagramName} diagram: Rendering failed - API connection error or offline]`,
+                  font: theme.fonts.body,
+                  size: theme.sizes.diagramWarning,
+                  color: theme.diagramWarning.text
                 })
               ]
             }));
@@ -1073,82 +4043,111 @@ function convertElements(elements, options, inputDir, mermaidRenderedMap = new M
           break;
         }
 
-        // Display regular code blocks with background color
-        const codeLines = el.content.split('\n');
-        for (const codeLine of codeLines) {
-          children.push(new Paragraph({
-            shading: { fill: "F5F5F5", type: ShadingType.CLEAR },
-            indent: { left: currentSectionIndent + 360 },
-            children: [new TextRun({ text: codeLine || ' ', font: "Meiryo", size: 20 })]
-          }));
-        }
+        // Display regular code blocks as a bordered container
+        children.push(...createCodeBlock(el, options, currentSectionIndent + blockOffset));
         break;
+      }
 
-      case 'table':
-        const colCount = el.rows[0]?.length || 1;
+      case 'table': {
         const tableWidth = CONTENT_WIDTH - currentSectionIndent;
-        const colWidth = Math.floor(tableWidth / colCount);
+        const hasHeader = el.header !== false;
+        const cells = resolveTableSpans(el.rows, hasHeader);
+        // Spanning cells do not count toward the width of a single column
+        const widthRows = cells.map(row => row.map(cell => cell && cell.colSpan === 1 ? cell.text : ''));
+        const columnWidths = computeTableColumnWidths(widthRows, tableWidth, el.widths);
+        const alignmentMap = { left: AlignmentType.LEFT, center: AlignmentType.CENTER, right: AlignmentType.RIGHT };
 
-        const tableRows = el.rows.map((row, rowIdx) => {
+        // 結合で隠れるセルは出力しない（縦結合の継続セルはdocxが補完する）
+        const tableRows = cells.map((row, rowIdx) => {
           return new TableRow({
-            tableHeader: rowIdx === 0,
-            children: row.map(cell => new TableCell({
+            tableHeader: hasHeader && rowIdx === 0,
+            children: row.map((cell, colIdx) => cell && new TableCell({
               borders: { top: tableBorder, bottom: tableBorder, left: tableBorder, right: tableBorder },
-              width: { size: colWidth, type: WidthType.DXA },
-              shading: rowIdx === 0 ? { fill: "D9D9D9", type: ShadingType.CLEAR } : undefined,
-              children: [new Paragraph({
-                children: parseInlineMarkup(cell, inputDir)
-              })]
-            }))
+              width: {
+                size: columnWidths.slice(colIdx, colIdx + cell.colSpan).reduce((a, b) => a + b, 0),
+                type: WidthType.DXA
+              },
+              rowSpan: cell.rowSpan,
+              columnSpan: cell.colSpan,
+              shading: hasHeader && rowIdx === 0 ? { fill: theme.bodyTableHeader, type: ShadingType.CLEAR } : undefined,
+              children: createTableCellParagraphs(cell.text, alignmentMap[el.align?.[colIdx]], currentInputDir, inlineContext)
+            })).filter(Boolean)
           });
         });
 
         children.push(new Table({
-          columnWidths: Array(colCount).fill(colWidth),
+          columnWidths,
           rows: tableRows,
           width: { size: tableWidth, type: WidthType.DXA },
           indent: { size: currentSectionIndent, type: WidthType.DXA }
         }));
         break;
+      }
+
+      case 'admonition': {
+        // Body elements go inside the box; headings become bold paragraphs as in blockquotes
+        const body = (el.children || new MarkdownParser(el.text).parse()).map(child => child.type === 'heading'
+          ? { type: 'paragraph', text: `**${child.text}**` }
+          : child);
+        const indent = currentSectionIndent + blockOffset;
+        const { label, box } = createAdmonition(el, theme, indent, body.length > 0);
+        children.push(label);
+        children.push(...convertElements(body, options, currentInputDir, diagramRenderedMap, {
+          indent,
+          quoteDepth,
+          box,
+          anchors: headingAnchors,
+          footnotes,
+          captions,
+          images: remoteImages
+        }));
+        break;
+      }
 
-      case 'blockquote':
-        children.push(new Paragraph({
-          indent: { left: currentSectionIndent + 720 },
-          border: { left: { style: BorderStyle.SINGLE, size: 24, color: "CCCCCC" } },
-          children: [new TextRun({ text: el.text, italics: true, font: "Meiryo", size: 22 })]
+      case 'blockquote': {
+        // Convert the quoted elements one level deeper; headings in quotes become bold paragraphs
+        // so that they stay out of the outline and TOC
+        const quoted = (el.children || new MarkdownParser(el.text).parse()).map(child => child.type === 'heading'
+          ? { type: 'paragraph', text: `**${child.text}**` }
+          : child);
+        children.push(...convertElements(quoted, options, currentInputDir, diagramRenderedMap, {
+          indent: currentSectionIndent + (quoteDepth > 0 ? 360 : 720),
+          quoteDepth: quoteDepth + 1,
+          anchors: headingAnchors,
+          footnotes,
+          captions,
+          images: remoteImages
         }));
         break;
+      }
 
       case 'image':
         try {
-          const imgPath = path.isAbsolute(el.src) ? el.src : path.join(inputDir, el.src);
-          if (fs.existsSync(imgPath)) {
-            const imgData = fs.readFileSync(imgPath);
-            const ext = path.extname(imgPath).slice(1).toLowerCase();
-            const typeMap = { jpg: 'jpg', jpeg: 'jpg', png: 'png', gif: 'gif', bmp: 'bmp' };
-            // Use width/height if specified, otherwise use defaults
-            const imgWidth = el.width || 400;
-            const imgHeight = el.height || (el.width ? Math.round(el.width * 0.75) : 300);
+          const image = loadImage(el.src, currentInputDir, remoteImages);
+          if (image) {
+            // Use width/height if specified, otherwise the intrinsic size; scale down to fit the page
+            const dimensions = image.dimensions || { width: DEFAULT_IMAGE_WIDTH, height: DEFAULT_IMAGE_HEIGHT };
+            const maxWidth = (CONTENT_WIDTH - currentSectionIndent) / 1440 * 96;
             children.push(new Paragraph({
               indent: { left: currentSectionIndent },
               alignment: AlignmentType.CENTER,
+              keepNext: Boolean(caption),
               children: [new ImageRun({
-                type: typeMap[ext] || 'png',
-                data: imgData,
-                transformation: { width: imgWidth, height: imgHeight },
+                ...image.source,
+                transformation: fitImageSize(dimensions, el, maxWidth, MAX_IMAGE_HEIGHT),
                 altText: { title: el.alt || 'Image', description: el.alt || 'Image', name: el.alt || 'Image' }
               })]
             }));
           } else {
             children.push(new Paragraph({
               indent: { left: currentSectionIndent },
-              children: [new TextRun({ text: `[Image: ${el.src}]`, font: "Meiryo", size: 22, color: "FF0000" })]
+              children: [new TextRun({ text: `[Image: ${describeImageSource(el.src)}]`, ...bodyRun, color: theme.error })]
             }));
           }
         } catch (e) {
           children.push(new Paragraph({
             indent: { left: currentSectionIndent },
-            children: [new TextRun({ text: `[Image load error: ${el.src}]`, font: "Meiryo", size: 22, color: "FF0000" })]
+            children: [new TextRun({ text: `[Image load error: ${describeImageSource(el.src)}]`, ...bodyRun, color: theme.error })]
           }));
         }
         break;
@@ -1163,7 +4162,7 @@ function convertElements(elements, options, inputDir, mermaidRenderedMap = new M
           // Regular horizontal rule
           children.push(new Paragraph({
             indent: { left: currentSectionIndent },
-            border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: "CCCCCC" } },
+            border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: theme.rule } },
             children: []
           }));
         }
@@ -1182,24 +4181,65 @@ function convertElements(elements, options, inputDir, mermaidRenderedMap = new M
         }));
         break;
     }
+
+    if (caption && caption.kind === 'fig') {
+      children.push(createCaption(caption, currentSectionIndent, currentInputDir, inlineContext));
+    }
   }
 
   return children;
 }
 
-// ===== Main processing =====
-async function main() {
-  const options = parseArgs();
+// ===== Markdown source loading =====
+/**
+ * Read a Markdown file
+ * @param {string} filePath - Markdown file path
+ * @returns {string} - File content
+ * @throws {InputError} - When the file cannot be read
+ */
+function readMarkdownFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    throw new InputError(`Failed to read input file: ${e.message}`);
+  }
+}
+
+/**
+ * Split a leading YAML front matter block (between --- and --- or ...) from a Markdown source
+ * @param {string} markdownRaw - Markdown source
+ * @returns {{data: object, markdown: string}} - Front matter values (empty if none) and the rest of the source
+ */
+function extractFrontMatter(markdownRaw) {
+  const match = markdownRaw.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { data: {}, markdown: markdownRaw };
+  }
 
-  // Read Markdown file
-  const markdownRaw = fs.readFileSync(options.input, 'utf-8');
-  const inputDir = path.dirname(path.resolve(options.input));
+  // YAMLのマッピングとして解釈できない場合は通常の水平線として扱う
+  let data;
+  try {
+    data = YAML.parse(match[1]);
+  } catch (e) {
+    return { data: {}, markdown: markdownRaw };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, markdown: markdownRaw };
+  }
+  return { data, markdown: markdownRaw.slice(match[0].length) };
+}
 
+/**
+ * Extract the changelog and the convertible body from a Markdown source
+ * @param {string} markdownRaw - Markdown source
+ * @returns {{changelog: Array|null, markdown: string}}
+ */
+function splitMarkdownSource(markdownRaw) {
   // Extract changelog
   const changelog = extractChangelog(markdownRaw);
 
-  // Exclude CHANGELOG block from body
-  let markdown = markdownRaw.replace(/<!--\s*CHANGELOG\s*-->[\s\S]*?<!--\s*\/CHANGELOG\s*-->\s*/, '');
+  // Exclude front matter and CHANGELOG block from body
+  let markdown = extractFrontMatter(markdownRaw).markdown.replace(/<!--\s*CHANGELOG\s*-->[\s\S]*?<!--\s*\/CHANGELOG\s*-->\s*/, '');
 
   // Range specification using md2mdocx:start/end
   const startMatch = markdown.match(/<!--\s*md2mdocx:start\s*-->/i);
@@ -1214,13 +4254,181 @@ async function main() {
     }
   }
 
-  // Parse
-  const parser = new MarkdownParser(markdown);
-  const elements = parser.parse();
+  return { changelog, markdown };
+}
 
-  // Pre-render Mermaid diagrams (with theme applied)
-  const colors = getThemeColors(options.theme);
-  const mermaidRenderedMap = await prerenderMermaidDiagrams(elements, colors.mermaid);
+// ===== Book mode (chapters) =====
+/**
+ * Convert a glob pattern to a regular expression (supports *, ** and ?)
+ * @param {string} pattern - Glob pattern using / as separator
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // **/ matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List files under a directory recursively (hidden entries and node_modules are skipped)
+ * @param {string} dir - Directory path
+ * @returns {string[]} - Absolute file paths
+ */
+function listFilesRecursive(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFilesRecursive(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Resolve the chapters option to a list of Markdown file paths
+ * @param {string|string[]} chapters - File paths or glob patterns
+ * @param {string} baseDir - Base directory for relative paths
+ * @returns {string[]} - Absolute file paths in document order
+ * @throws {InputError} - When a pattern matches no files
+ */
+function resolveChapterPaths(chapters, baseDir) {
+  const patterns = Array.isArray(chapters) ? chapters : [chapters];
+  const result = [];
+
+  for (const pattern of patterns) {
+    const normalized = String(pattern).replace(/\\/g, '/');
+    if (!/[*?]/.test(normalized)) {
+      result.push(path.resolve(baseDir, normalized));
+      continue;
+    }
+
+    // Walk from the static part of the pattern, then filter by the rest
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex(seg => /[*?]/.test(seg));
+    const rootDir = path.resolve(baseDir, segments.slice(0, firstGlob).join('/') || '.');
+    const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+    const matches = fs.existsSync(rootDir)
+      ? listFilesRecursive(rootDir)
+          .filter(file => matcher.test(path.relative(rootDir, file).split(path.sep).join('/')))
+          .sort()
+      : [];
+
+    if (matches.length === 0) {
+      throw new InputError(`No chapter files matched: ${pattern}`);
+    }
+    result.push(...matches);
+  }
+
+  return result;
+}
+
+// ===== Conversion API =====
+/**
+ * Convert Markdown to a manual-style Word document
+ *
+ * When neither markdown nor inputPath is given, the chapters option is used
+ * (book mode); chapter paths are relative to the config file directory.
+ * Front matter of a single Markdown source overrides the config file but not options;
+ * in book mode, front matter is removed from the chapters and ignored.
+ * Rendered diagrams and remote images are cached on disk by default (diagram-cache, image-cache:
+ * .md2mdocx-cache/ relative to the input file, or to process.cwd() for a markdown string);
+ * set those options to '' to disable the caches and avoid writing files.
+ * @param {object} params
+ * @param {string} [params.markdown] - Markdown source (takes precedence over inputPath)
+ * @param {string} [params.inputPath] - Markdown file path; also the base for relative image paths
+ * @param {object} [params.options] - Document options (same keys as the config file)
+ * @param {string} [params.configPath] - YAML config file merged below options
+ * @param {Function} [params.onProgress] - Called with { label, completed, total } while diagrams
+ *   are rendered and images fetched (nothing is written to stdout)
+ * @returns {Promise<Buffer>} - docx binary data
+ * @throws {InputError} - When no readable Markdown source is given
+ */
+async function convert({ markdown: markdownSource, inputPath, options: optionValues = {}, configPath = null, onProgress = null } = {}) {
+  // A single Markdown source is read first so that its front matter joins option resolution
+  let singleSource = null;
+  if (markdownSource !== undefined && markdownSource !== null) {
+    singleSource = markdownSource;
+  } else if (inputPath) {
+    singleSource = readMarkdownFile(inputPath);
+  }
+  const frontMatter = singleSource !== null ? extractFrontMatter(singleSource).data : {};
+  const frontMatterDir = inputPath ? path.dirname(path.resolve(inputPath)) : process.cwd();
+  const options = resolveOptions(optionValues, configPath, frontMatter, frontMatterDir);
+
+  // Collect Markdown sources (one per chapter in book mode)
+  const sources = [];
+  let inputDir = process.cwd();
+  let bookMode = false;
+  if (singleSource !== null) {
+    if (inputPath) inputDir = path.dirname(path.resolve(inputPath));
+    sources.push({ markdown: singleSource, inputDir });
+  } else if (options.chapters && options.chapters.length > 0) {
+    if (configPath) inputDir = path.dirname(path.resolve(configPath));
+    bookMode = true;
+    for (const chapterPath of resolveChapterPaths(options.chapters, inputDir)) {
+      sources.push({ markdown: readMarkdownFile(chapterPath), inputDir: path.dirname(chapterPath) });
+    }
+  } else {
+    throw new InputError('Either markdown, inputPath or chapters is required');
+  }
+
+  // Parse each source on its own so that start/end markers and image paths apply per file
+  const changelogRows = [];
+  const elements = [];
+  for (const source of sources) {
+    const { changelog: sourceChangelog, markdown } = splitMarkdownSource(source.markdown);
+    if (sourceChangelog) changelogRows.push(...sourceChangelog);
+
+    // Parse
+    const parser = new MarkdownParser(markdown);
+    if (bookMode) {
+      elements.push({ type: 'chapter', inputDir: source.inputDir });
+    }
+    elements.push(...parser.parse());
+  }
+  const changelog = changelogRows.length > 0 ? changelogRows : null;
+
+  // Resolve the theme once (theme file paths are already absolute, see resolveOptions())
+  const colors = applyFontOptions(getThemeColors(options.theme, inputDir), options);
+  options.theme = colors;
+  const embeddedFonts = loadEmbeddedFonts(options["embed-fonts"], process.cwd());
+
+  // Pre-render diagrams (with theme applied); skipped entirely with --no-diagrams
+  const diagramCache = options["diagram-cache"]
+    ? {
+        dir: path.resolve(inputDir, String(options["diagram-cache"])),
+        refresh: options["refresh-diagrams"] === true,
+        maxAge: Number(options["diagram-cache-max-age"])
+      }
+    : null;
+  const diagramRenderedMap = options.diagrams === false
+    ? new Map()
+    : await prerenderDiagrams(elements, colors, getDiagramRenderer(options), diagramCache, onProgress);
+
+  // Fetch remote images (cached; --offline uses the cache only)
+  const remoteImages = await prefetchImages(elements, getImageFetchSettings(options, inputDir), onProgress);
 
   // Dynamically generate numbered list settings (no indent for #, 360 for ## and below)
   const numberConfigs = [];
@@ -1229,38 +4437,47 @@ async function main() {
 
   for (const el of elements) {
     if (el.type === 'heading') {
-      currentIndent = el.level === 1 ? 0 : 360;
-    }
-    if (el.type === 'list' && el.listType === 'number') {
-      listCount++;
-      numberConfigs.push({
-        reference: `number-${listCount}-indent${currentIndent}`,
-        levels: [{ level: 0, format: LevelFormat.DECIMAL, text: "%1.", alignment: AlignmentType.LEFT,
-          style: { paragraph: { indent: { left: currentIndent + 720, hanging: 360 } } } }]
-      });
+      currentIndent = HEADING_STYLES[el.level].indent;
+    } else if (el.type === 'chapter') {
+      currentIndent = 0;
     }
+    if (el.type === 'list') {
+      for (const sequence of getListSequences(el).sequences) {
+        listCount++;
+        numberConfigs.push(createListNumberingConfig(`number-${listCount}-indent${currentIndent}`, currentIndent, sequence));
+      }
+    }
+  }
+
+  const headingNumbering = getHeadingNumbering(options);
+  if (headingNumbering) {
+    numberConfigs.push(createHeadingNumberingConfig(headingNumbering));
   }
 
-  // Convert to Word elements
-  const contentChildren = convertElements(elements, options, inputDir, mermaidRenderedMap);
+  // Convert to Word elements (footnotes are collected while converting)
+  const footnotes = {};
+  const contentChildren = convertElements(elements, options, inputDir, diagramRenderedMap, { footnotes, images: remoteImages });
 
   // Generate document
   const doc = new Document({
+    fonts: embeddedFonts,
     styles: {
-      default: { document: { run: { font: "Meiryo", size: 22 } } },
+      default: { document: { run: { font: colors.fonts.body, size: colors.sizes.body, color: colors.text } } },
       paragraphStyles: [
-        { id: "Heading1", name: "Heading 1", basedOn: "Normal", next: "Normal", quickFormat: true,
-          run: { size: 28, bold: true, color: "000000", font: "Meiryo" },
-          paragraph: { spacing: { before: 360, after: 240 }, outlineLevel: 0 } },
-        { id: "Heading2", name: "Heading 2", basedOn: "Normal", next: "Normal", quickFormat: true,
-          run: { size: 24, bold: true, color: "000000", font: "Meiryo" },
-          paragraph: { spacing: { before: 240, after: 180 }, outlineLevel: 1 } },
-        { id: "Heading3", name: "Heading 3", basedOn: "Normal", next: "Normal", quickFormat: true,
-          run: { size: 22, bold: true, color: "000000", font: "Meiryo" },
-          paragraph: { spacing: { before: 180, after: 120 }, outlineLevel: 2 } }
+        ...Object.entries(HEADING_STYLES).map(([level, style]) => ({
+          id: `Heading${level}`, name: `Heading ${level}`, basedOn: "Normal", next: "Normal", quickFormat: true,
+          run: { size: colors.sizes[`heading${level}`], bold: true, italics: style.italics, color: colors.headingText, font: colors.fonts.heading },
+          paragraph: {
+            spacing: style.spacing, outlineLevel: level - 1,
+            numbering: getHeadingStyleNumbering(headingNumbering, Number(level))
+          }
+        })),
+        { id: "Caption", name: "caption", basedOn: "Normal", next: "Normal", quickFormat: true,
+          run: { size: colors.sizes.caption, bold: true, font: colors.fonts.body }, paragraph: { spacing: { before: 60, after: 240 } } }
       ]
     },
     numbering: { config: numberConfigs },
+    footnotes: footnotes.notes,
     sections: [
       createCoverSection(options, inputDir),
       createHistorySection(options, changelog),
@@ -1268,19 +4485,73 @@ async function main() {
       {
         properties: { page: { margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 } } },
         headers: { default: createHeader(options) },
-        footers: { default: createFooter() },
+        footers: { default: createFooter(options) },
         children: contentChildren
       }
     ]
   });
 
-  // Save
   const buffer = await Packer.toBuffer(doc);
-  fs.writeFileSync(options.output, buffer);
-  console.log(`Done: ${options.output}`);
+  return doc.Media.Array.some(image => image.type === 'webp') ? addWebpContentType(buffer) : buffer;
+}
+
+// ===== CLI =====
+/**
+ * Console progress output for the CLI ("label N/M", updated in place on a TTY)
+ * @returns {Function} - onProgress callback for convert()
+ */
+function createConsoleProgress() {
+  const interactive = !!process.stdout.isTTY;
+  return ({ label, completed, total }) => {
+    if (interactive) {
+      process.stdout.write(`\r${label} ${completed}/${total}${completed === total ? '\n' : ''}`);
+    } else if (completed === total) {
+      console.log(`${label} ${completed}/${total}`);
+    }
+  };
+}
+
+async function main() {
+  const cli = parseArgs();
+
+  // If --save-config is specified, save settings and exit
+  if (cli.saveConfig) {
+    const frontMatter = cli.input ? extractFrontMatter(readMarkdownFile(cli.input)).data : {};
+    const frontMatterDir = cli.input ? path.dirname(path.resolve(cli.input)) : process.cwd();
+    const options = resolveOptions(cli.values, cli.config, frontMatter, frontMatterDir);
+    const savedPath = saveConfigFile(cli.saveConfig, options);
+    console.log(`Config saved: ${savedPath}`);
+    return;
+  }
+
+  const buffer = await convert({
+    inputPath: cli.input, options: cli.values, configPath: cli.config, onProgress: createConsoleProgress()
+  });
+  fs.writeFileSync(cli.output, buffer);
+  console.log(`Done: ${cli.output}`);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+module.exports = {
+  convert,
+  MarkdownParser,
+  convertElements,
+  createCoverSection,
+  createHistorySection,
+  createTOCSection,
+  getDefaultOptions,
+  resolveOptions,
+  Md2mdocxError,
+  UsageError,
+  InputError,
+  ConfigError
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    if (err instanceof UsageError) {
+      console.error(USAGE);
+    }
+    process.exitCode = 1;
+  });
+}
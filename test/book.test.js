@@ -0,0 +1,70 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { InputError } = require('../md2mdocx.js');
+const { convertToZip, withTempDir, writeFiles, createPng } = require('./helpers');
+
+describe('book mode', () => {
+  test('joins the chapters into one document with a single cover and TOC', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'book.yaml': 'title: The Book\nchapters:\n  - intro.md\n  - "parts/*.md"\n',
+        'intro.md': 'Draft notes\n\n<!-- md2mdocx:start -->\n# Intro\n\nIntro body\n<!-- md2mdocx:end -->\n\nTodo list\n',
+        'parts/b-usage.md': '# Usage\n\nUsage body\n\n![shot](shot.png)\n',
+        'parts/a-setup.md': '# Setup\n\nSetup body\n',
+        'parts/shot.png': createPng(20, 10)
+      });
+
+      const zip = await convertToZip(null, {}, { configPath: path.join(dir, 'book.yaml') });
+      const xml = await zip.file('word/document.xml').async('string');
+      const order = ['Intro body', 'Setup body', 'Usage body'].map(text => xml.indexOf(text));
+      assert.ok(order[0] !== -1 && order[0] < order[1] && order[1] < order[2]);
+      assert.strictEqual(xml.split('The Book').length - 1, 1);
+      assert.strictEqual(xml.match(/>TOC /g).length, 1);
+      // Start/end markers apply per file
+      assert.ok(!xml.includes('Draft notes'));
+      assert.ok(!xml.includes('Todo list'));
+      // Image paths are relative to the chapter file
+      assert.ok(Object.keys(zip.files).some(name => /^word\/media\/.+\.png$/.test(name)));
+      assert.ok(!xml.includes('[Image'));
+    });
+  });
+
+  test('starts each chapter on a new page', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'book.yaml': 'chapters:\n  - one.md\n  - two.md\n',
+        'one.md': '# One\n\nFirst chapter\n',
+        'two.md': '# Two\n\nSecond chapter\n'
+      });
+      const zip = await convertToZip(null, {}, { configPath: path.join(dir, 'book.yaml') });
+      const xml = await zip.file('word/document.xml').async('string');
+      const between = xml.slice(xml.indexOf('First chapter'), xml.indexOf('>Two<'));
+      assert.ok(between.includes('<w:br w:type="page"/>'));
+    });
+  });
+
+  test('collects the change history of every chapter', async () => {
+    await withTempDir(async (dir) => {
+      const changelog = (version, text) =>
+        `<!-- CHANGELOG -->\n| Version | Date | Changes |\n|---|---|---|\n| ${version} | 2024-01-01 | ${text} |\n<!-- /CHANGELOG -->\n`;
+      writeFiles(dir, {
+        'book.yaml': 'chapters:\n  - one.md\n  - two.md\n',
+        'one.md': `${changelog('1.0', 'First release')}\n# One\n`,
+        'two.md': `${changelog('1.1', 'Added chapter two')}\n# Two\n`
+      });
+      const zip = await convertToZip(null, {}, { configPath: path.join(dir, 'book.yaml') });
+      const xml = await zip.file('word/document.xml').async('string');
+      assert.ok(xml.includes('First release'));
+      assert.ok(xml.includes('Added chapter two'));
+      assert.ok(!xml.includes('CHANGELOG'));
+    });
+  });
+
+  test('throws InputError when a chapter pattern matches no files', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, { 'book.yaml': 'chapters:\n  - "missing/*.md"\n' });
+      await assert.rejects(convertToZip(null, {}, { configPath: path.join(dir, 'book.yaml') }), InputError);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parse, documentXml, captureConsole, createPng } = require('./helpers');
+
+const IMAGE = `data:image/png;base64,${createPng(4, 2).toString('base64')}`;
+
+/**
+ * Caption paragraphs as plain text ("Figure 1: Text")
+ * @param {string} xml - word/document.xml
+ * @returns {string[]}
+ */
+function captionTexts(xml) {
+  return [...xml.matchAll(/<w:p><w:pPr><w:pStyle w:val="Caption"\/>[\s\S]*?<\/w:p>/g)]
+    .map(match => [...match[0].matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map(text => text[1]).join(''));
+}
+
+describe('captions', () => {
+  test('takes the figure id from {#fig:id}, with or without a space', () => {
+    const elements = parse(`![First](${IMAGE}){#fig:first}\n\n![Second](${IMAGE}) {#fig:second}\n`);
+    assert.deepStrictEqual(elements.map(el => el.type), ['image', 'image']);
+    assert.deepStrictEqual(elements.map(el => el.caption), [
+      { text: 'First', id: 'fig:first' },
+      { text: 'Second', id: 'fig:second' }
+    ]);
+  });
+
+  test('numbers figure and table captions with SEQ fields', async () => {
+    const xml = await documentXml([
+      `![Install screen](${IMAGE}) {#fig:install}`,
+      '',
+      '<!-- md2mdocx:caption Prices {#tbl:prices} -->',
+      '| A |',
+      '|---|',
+      '| 1 |',
+      '',
+      `![Done](${IMAGE}){#fig:done}`,
+      ''
+    ].join('\n'));
+    assert.deepStrictEqual(captionTexts(xml), ['Figure 1: Install screen', 'Table 1: Prices', 'Figure 2: Done']);
+    assert.strictEqual(xml.match(/SEQ Figure/g).length, 2);
+    assert.strictEqual(xml.match(/SEQ Table/g).length, 1);
+    // Table captions go above the table
+    assert.ok(xml.indexOf('Prices') < xml.indexOf('<w:tbl>', xml.indexOf('Install screen')));
+  });
+
+  test('takes table captions from a Table: line', async () => {
+    const xml = await documentXml('| A |\n|---|\n| 1 |\n\nTable: Prices {#tbl:prices}\n\nSee @tbl:prices.\n');
+    assert.deepStrictEqual(captionTexts(xml), ['Table 1: Prices']);
+    assert.ok(!xml.includes('Table: Prices'));
+    assert.ok(xml.includes('REF _Table_1 \\h'));
+  });
+
+  test('links references to the caption bookmarks', async () => {
+    const xml = await documentXml(`See @fig:install and @tbl:prices.\n\n![Install](${IMAGE}) {#fig:install}\n\n` +
+      '<!-- md2mdocx:caption Prices {#tbl:prices} -->\n| A |\n|---|\n| 1 |\n');
+    assert.ok(xml.includes('<w:fldSimple w:instr="REF _Figure_1 \\h"><w:r><w:t xml:space="preserve">Figure 1</w:t>'));
+    assert.ok(xml.includes('<w:fldSimple w:instr="REF _Table_1 \\h"><w:r><w:t xml:space="preserve">Table 1</w:t>'));
+    assert.ok(xml.includes('<w:bookmarkStart w:name="_Figure_1"'));
+  });
+
+  test('keeps undefined references as text', async () => {
+    let xml;
+    const warnings = await captureConsole('warn', async () => {
+      xml = await documentXml('See @fig:missing.\n');
+    });
+    assert.ok(xml.includes('@fig:missing'));
+    assert.ok(warnings.some(message => message.includes('@fig:missing')));
+  });
+
+  test('uses alt text, custom labels and lists of figures and tables', async () => {
+    const xml = await documentXml(
+      `![Overview](${IMAGE})\n\n<!-- md2mdocx:caption Prices -->\n| A |\n|---|\n| 1 |\n`,
+      { 'figure-captions': true, 'figure-label': '図', 'table-label': '表', 'list-of-figures': true, 'list-of-tables': true }
+    );
+    assert.deepStrictEqual(captionTexts(xml), ['図 1: Overview', '表 1: Prices']);
+    assert.ok(xml.includes('TOC \\c &quot;Figure&quot;'));
+    assert.ok(xml.includes('TOC \\c &quot;Table&quot;'));
+  });
+});
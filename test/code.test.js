@@ -0,0 +1,187 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parse, documentXml } = require('./helpers');
+
+/**
+ * Decode the XML entities written by docx
+ * @param {string} text - Escaped text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => entities[name]);
+}
+
+/**
+ * Text runs of a document with their color and italics
+ * @param {string} xml - word/document.xml
+ * @returns {Array<{text: string, color: string|null, italics: boolean}>}
+ */
+function textRuns(xml) {
+  return [...xml.matchAll(/<w:r>([\s\S]*?)<\/w:r>/g)]
+    .map(match => {
+      const text = match[1].match(/<w:t[^>]*>([^<]*)<\/w:t>/);
+      const color = match[1].match(/<w:color w:val="([0-9A-F]{6})"\/>/);
+      return { text: text ? decodeXml(text[1]) : '', color: color ? color[1] : null, italics: match[1].includes('<w:i/>') };
+    })
+    .filter(run => run.text);
+}
+
+/**
+ * Color of the run with the given text
+ * @param {Array} runs - Result of textRuns()
+ * @param {string} text - Run text
+ * @returns {string|null|undefined} - undefined when there is no such run
+ */
+function colorOf(runs, text) {
+  const run = runs.find(r => r.text === text);
+  return run ? run.color : undefined;
+}
+
+/**
+ * Fenced code block
+ * @param {string} info - Info string (language and attributes)
+ * @param {string} source - Block content
+ * @returns {string}
+ */
+function fence(info, source) {
+  return `\`\`\`${info}\n${source}\n\`\`\`\n`;
+}
+
+/**
+ * Paragraphs with the given shading fill, as plain text
+ * @param {string} xml - word/document.xml
+ * @param {string} fill - Shading color
+ * @returns {Array<{text: string, xml: string}>}
+ */
+function shadedParagraphs(xml, fill) {
+  return [...xml.matchAll(/<w:p>(?:(?!<\/w:p>)[\s\S])*?<\/w:p>/g)]
+    .map(match => match[0])
+    .filter(paragraph => paragraph.includes(`w:fill="${fill}"`))
+    .map(paragraph => ({
+      text: [...paragraph.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map(text => decodeXml(text[1])).join(''),
+      xml: paragraph
+    }));
+}
+
+/**
+ * Code block lines as plain text
+ * @param {string} xml - word/document.xml
+ * @returns {string[]}
+ */
+function codeLines(xml) {
+  return shadedParagraphs(xml, 'F5F5F5').map(paragraph => paragraph.text);
+}
+
+describe('syntax highlighting', () => {
+  test('colors JavaScript tokens with the theme palette', async () => {
+    const runs = textRuns(await documentXml(fence('js', 'const n = 42; // answer\nlog("hi");')));
+    assert.strictEqual(colorOf(runs, 'const'), '0033B3');
+    assert.strictEqual(colorOf(runs, '42'), '1750EB');
+    assert.strictEqual(colorOf(runs, '"hi"'), '067D17');
+    assert.strictEqual(colorOf(runs, 'log'), '00627A');
+    const comment = runs.find(run => run.text === '// answer');
+    assert.strictEqual(comment.color, '8C8C8C');
+    assert.ok(comment.italics);
+  });
+
+  test('uses the palette of the selected theme', async () => {
+    const runs = textRuns(await documentXml(fence('python', 'def f():\n    return "x"'), { theme: 'green' }));
+    assert.strictEqual(colorOf(runs, 'def'), '38761D');
+    assert.strictEqual(colorOf(runs, '"x"'), 'A61C00');
+  });
+
+  test('supports the common languages and their aliases', async () => {
+    const samples = [
+      ['ts', 'interface A {}', 'interface'],
+      ['py', 'import os', 'import'],
+      ['sh', 'if true; then echo; fi', 'if'],
+      ['json', '{"key": 1}', '"key"'],
+      ['yml', 'name: value', 'name'],
+      ['sql', 'SELECT 1', 'SELECT'],
+      ['html', '<div class="a">', '<div'],
+      ['java', 'public class A {}', 'public'],
+      ['c#', 'using System;', 'using']
+    ];
+    for (const [language, source, token] of samples) {
+      const runs = textRuns(await documentXml(fence(language, source)));
+      assert.ok(colorOf(runs, token), `${language}: ${token} is not colored`);
+    }
+  });
+
+  test('keeps block comments colored across lines', async () => {
+    const runs = textRuns(await documentXml(fence('java', '/* first\n   second */\nint x;')));
+    assert.strictEqual(colorOf(runs, '   second */'), '8C8C8C');
+    assert.strictEqual(colorOf(runs, 'int'), '0033B3');
+  });
+
+  test('leaves unknown languages and syntax-highlight: false uncolored', async () => {
+    const unknown = textRuns(await documentXml(fence('cobol', 'DISPLAY "HI".')));
+    assert.strictEqual(colorOf(unknown, 'DISPLAY "HI".'), null);
+    const disabled = textRuns(await documentXml(fence('js', 'const a = 1;'), { 'syntax-highlight': false }));
+    assert.strictEqual(colorOf(disabled, 'const a = 1;'), null);
+  });
+});
+
+describe('code block layout', () => {
+  test('reads the title and line number flags from the info string', () => {
+    const [first, second, third] = parse([
+      fence('js title="app.js" showLineNumbers', 'a'),
+      fence("yaml filename='config.yml' nolinenums", 'b'),
+      fence('', 'c')
+    ].join('\n'));
+    assert.deepStrictEqual([first.language, first.title, first.lineNumbers], ['js', 'app.js', true]);
+    assert.deepStrictEqual([second.language, second.title, second.lineNumbers], ['yaml', 'config.yml', false]);
+    assert.deepStrictEqual([third.language, third.title, third.lineNumbers], ['', null, null]);
+  });
+
+  test('draws one bordered box that stays on one page', async () => {
+    const xml = await documentXml(fence('', 'one\ntwo\nthree'));
+    const lines = shadedParagraphs(xml, 'F5F5F5');
+    assert.deepStrictEqual(lines.map(line => line.text), ['one', 'two', 'three']);
+    assert.ok(lines.every(line => line.xml.includes('<w:pBdr>') && line.xml.includes('<w:keepLines/>')));
+    assert.deepStrictEqual(lines.map(line => line.xml.includes('<w:keepNext/>')), [true, true, false]);
+  });
+
+  test('uses a monospace font, configurable with code-font', async () => {
+    const defaults = shadedParagraphs(await documentXml(fence('', 'x = 1')), 'F5F5F5')[0].xml;
+    assert.ok(defaults.includes('w:ascii="Consolas"'));
+    assert.ok(defaults.includes('w:eastAsia="Meiryo"'));
+    const custom = shadedParagraphs(await documentXml(fence('', 'x = 1'), { 'code-font': 'Courier New', 'code-font-east-asia': 'MS Gothic' }), 'F5F5F5')[0].xml;
+    assert.ok(custom.includes('w:ascii="Courier New"'));
+    assert.ok(custom.includes('w:eastAsia="MS Gothic"'));
+  });
+
+  test('expands tabs to the next tab stop', async () => {
+    assert.deepStrictEqual(codeLines(await documentXml(fence('', 'a\tb\n\tc'))), ['a   b', '    c']);
+    assert.deepStrictEqual(codeLines(await documentXml(fence('', 'a\tb'), { 'code-tab-size': 2 })), ['a b']);
+  });
+
+  test('shows line numbers per block or with code-line-numbers', async () => {
+    const source = Array.from({ length: 10 }, (_, i) => `line${i + 1}`).join('\n');
+    const numbered = codeLines(await documentXml(fence('', source), { 'code-line-numbers': true }));
+    assert.strictEqual(numbered[0], ' 1  line1');
+    assert.strictEqual(numbered[9], '10  line10');
+    assert.deepStrictEqual(codeLines(await documentXml(fence('text showLineNumbers', 'a\nb'))), ['1  a', '2  b']);
+    assert.deepStrictEqual(codeLines(await documentXml(fence('text nolinenums', 'a'), { 'code-line-numbers': true })), ['a']);
+  });
+
+  test('puts the title in a bar above the code', async () => {
+    const xml = await documentXml(fence('js title="app.js"', 'run();'));
+    const [title] = shadedParagraphs(xml, 'E0E0E0');
+    assert.strictEqual(title.text, 'app.js');
+    assert.ok(title.xml.includes('<w:b/>'));
+    assert.ok(xml.indexOf('app.js') < xml.indexOf('run'));
+  });
+
+  test('wraps long lines with a continuation marker', async () => {
+    const lines = codeLines(await documentXml(fence('', 'x'.repeat(150))));
+    assert.ok(lines.length > 1);
+    assert.ok(lines.slice(1).every(line => line.startsWith('↪ ')));
+    assert.strictEqual(lines.join('').replace(/↪ /g, ''), 'x'.repeat(150));
+
+    const numbered = codeLines(await documentXml(fence('text showLineNumbers', 'x'.repeat(150))));
+    assert.ok(numbered[0].startsWith('1  x'));
+    assert.ok(numbered.slice(1).every(line => line.startsWith('↪  x')));
+  });
+});
@@ -0,0 +1,70 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { convert, resolveOptions, ConfigError, InputError } = require('../md2mdocx.js');
+const { OFFLINE, documentXml, withTempDir, captureConsole } = require('./helpers');
+
+describe('resolveOptions', () => {
+  test('throws ConfigError for a missing or malformed config file', async () => {
+    await withTempDir((dir) => {
+      assert.throws(() => resolveOptions({}, path.join(dir, 'missing.yaml')), ConfigError);
+      const broken = path.join(dir, 'broken.yaml');
+      fs.writeFileSync(broken, 'title: [oops\n');
+      assert.throws(() => resolveOptions({}, broken), ConfigError);
+      const list = path.join(dir, 'list.yaml');
+      fs.writeFileSync(list, '- title\n');
+      assert.throws(() => resolveOptions({}, list), ConfigError);
+    });
+  });
+});
+
+describe('convert', () => {
+  test('returns a docx buffer', async () => {
+    const buffer = await convert({ markdown: '# Title\n', options: OFFLINE });
+    assert.ok(Buffer.isBuffer(buffer));
+    assert.strictEqual(buffer.toString('ascii', 0, 2), 'PK');
+  });
+
+  test('reads inputPath and resolves its config file', async () => {
+    await withTempDir(async (dir) => {
+      const inputPath = path.join(dir, 'manual.md');
+      const configPath = path.join(dir, 'manual.yaml');
+      fs.writeFileSync(inputPath, '# Intro\n\nBody\n');
+      fs.writeFileSync(configPath, 'title: From Config\n');
+      const xml = await documentXml(null, {}, { inputPath, configPath });
+      assert.ok(xml.includes('From Config'));
+      assert.ok(xml.includes('Body'));
+    });
+  });
+
+  test('throws InputError when there is no input', async () => {
+    await assert.rejects(convert({ options: OFFLINE }), InputError);
+    await assert.rejects(convert({ inputPath: path.join(os.tmpdir(), 'md2mdocx-missing.md'), options: OFFLINE }), InputError);
+  });
+
+  test('renders admonitions and diagrams as text without network access', async () => {
+    const xml = await documentXml('> [!NOTE]\n> - first\n\n```mermaid\ngraph TD; A-->B\n```\n');
+    assert.ok(xml.includes('first'));
+    assert.ok(xml.includes('A--&gt;B'));
+  });
+
+  test('does not write to stdout', async () => {
+    const messages = await captureConsole('log', () => documentXml('# Title\n'));
+    assert.deepStrictEqual(messages, []);
+  });
+
+  test('reports progress through onProgress', async () => {
+    const events = [];
+    await convert({ markdown: '# Title\n', options: OFFLINE, onProgress: (event) => events.push(event) });
+    assert.ok(events.every(event => typeof event.label === 'string' && event.completed <= event.total));
+  });
+
+  test('rejects a missing config file', async () => {
+    await assert.rejects(
+      convert({ markdown: '# Title\n', configPath: path.join(os.tmpdir(), 'md2mdocx-missing.yaml'), options: OFFLINE }),
+      ConfigError
+    );
+  });
+});
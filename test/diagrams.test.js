@@ -0,0 +1,390 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { ConfigError } = require('../md2mdocx.js');
+const { convertToZip, documentXml, withTempDir, captureConsole, createPng, withServer } = require('./helpers');
+
+const MERMAID = '```mermaid\ngraph TD; A-->B\n```\n';
+
+/**
+ * Kroki stand-in that renders every diagram as a small PNG
+ * @param {Array<{url: string, body: string, headers: object}>} requests - Receives the requests
+ * @param {number} status - HTTP status to answer with
+ * @returns {Function} - Request handler
+ */
+function krokiServer(requests, status = 200) {
+  return (req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, body, headers: req.headers });
+      res.writeHead(status, { 'Content-Type': 'image/png' });
+      res.end(status === 200 ? createPng(30, 20) : '');
+    });
+  };
+}
+
+/**
+ * Kroki stand-in that answers in the format given by the request path (png or svg)
+ * @param {Array<{url: string, body: string, headers: object}>} requests - Receives the requests
+ * @returns {Function} - Request handler
+ */
+function formatServer(requests) {
+  const png = krokiServer(requests);
+  return (req, res) => {
+    if (!req.url.endsWith('/svg')) return png(req, res);
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, body, headers: req.headers });
+      res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+      res.end('<svg xmlns="http://www.w3.org/2000/svg" width="60" height="30"><rect width="60" height="30"/></svg>');
+    });
+  };
+}
+
+/**
+ * Diagram options for a local Kroki server and cache directory
+ * @param {string} url - Kroki base URL
+ * @param {string} cacheDir - Diagram cache directory
+ * @returns {object}
+ */
+function diagramOptions(url, cacheDir) {
+  return { diagrams: true, offline: false, 'kroki-url': url, 'kroki-retries': 0, 'diagram-cache': cacheDir };
+}
+
+/**
+ * Number of embedded diagram images
+ * @param {JSZip} zip - Opened docx
+ * @param {string} [extension] - File extension to count
+ * @returns {number}
+ */
+function imageCount(zip, extension = 'png') {
+  return Object.keys(zip.files).filter(name => name.startsWith('word/media/') && name.endsWith(`.${extension}`)).length;
+}
+
+/**
+ * Fenced code block
+ * @param {string} language - Language tag
+ * @param {string} source - Block content
+ * @returns {string}
+ */
+function fence(language, source) {
+  return `\`\`\`${language}\n${source}\n\`\`\`\n`;
+}
+
+/**
+ * Run the command line interface
+ * @param {string[]} args - Arguments
+ * @returns {Promise<string>} - Standard output
+ */
+function runCli(args) {
+  const script = path.join(__dirname, '..', 'md2mdocx.js');
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [script, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+      if (error) reject(new Error(`${error.message}\n${stderr}`));
+      else resolve(stdout);
+    });
+  });
+}
+
+describe('diagram renderer', () => {
+  test('posts the diagram source to kroki-url with kroki-headers', async () => {
+    const requests = [];
+    await withServer(krokiServer(requests), async (url) => {
+      const options = { ...diagramOptions(`${url}/kroki/`, ''), 'kroki-headers': 'Authorization: Bearer abc; X-Team: docs' };
+      assert.strictEqual(imageCount(await convertToZip(MERMAID, options)), 1);
+      await convertToZip(MERMAID, { ...options, 'kroki-headers': { 'X-Team': 'ops' } });
+    });
+    assert.deepStrictEqual(requests.map(request => request.url), ['/kroki/mermaid/png', '/kroki/mermaid/png']);
+    assert.ok(requests[0].body.includes('A-->B'));
+    assert.strictEqual(requests[0].headers['content-type'], 'text/plain');
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer abc');
+    assert.strictEqual(requests[0].headers['x-team'], 'docs');
+    assert.strictEqual(requests[1].headers['x-team'], 'ops');
+  });
+
+  test('rejects kroki-url values that are not http(s) URLs', async () => {
+    await assert.rejects(convertToZip(MERMAID, { diagrams: true, 'kroki-url': 'ftp://kroki.local' }), ConfigError);
+    await assert.rejects(convertToZip(MERMAID, { diagrams: true, 'kroki-url': 'not a url' }), ConfigError);
+  });
+
+  test('shows a placeholder when the request times out', async () => {
+    const requests = [];
+    await withServer((req) => { requests.push(req.url); }, async (url) => {
+      let xml;
+      const warnings = await captureConsole('warn', async () => {
+        xml = await documentXml(MERMAID, { ...diagramOptions(url, ''), 'kroki-timeout': 100 });
+      });
+      assert.strictEqual(requests.length, 1);
+      assert.ok(xml.includes('[Mermaid diagram: Rendering failed'));
+      assert.ok(warnings.some(message => message.includes('Kroki API timeout')));
+    });
+  });
+
+  test('skips the network with diagrams: false', async () => {
+    const requests = [];
+    await withServer(krokiServer(requests), async (url) => {
+      const xml = await documentXml(MERMAID, { ...diagramOptions(url, ''), diagrams: false });
+      assert.ok(xml.includes('A--&gt;B'));
+    });
+    assert.strictEqual(requests.length, 0);
+  });
+
+  test('takes the renderer settings and --no-diagrams from the command line', async () => {
+    await withTempDir(async (dir) => {
+      const inputPath = path.join(dir, 'doc.md');
+      fs.writeFileSync(inputPath, MERMAID);
+      const requests = [];
+      await withServer(krokiServer(requests), async (url) => {
+        const common = [inputPath, '--kroki-url', url, '--kroki-headers', 'X-Team: cli'];
+        await runCli([...common, path.join(dir, 'on.docx')]);
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].headers['x-team'], 'cli');
+
+        await runCli([...common, path.join(dir, 'off.docx'), '--no-diagrams', '--refresh-diagrams']);
+        assert.strictEqual(requests.length, 1);
+      });
+      assert.ok(fs.existsSync(path.join(dir, 'off.docx')));
+    });
+  });
+});
+
+describe('diagram types', () => {
+  test('renders every Kroki language tag and its aliases', async () => {
+    const requests = [];
+    await withServer(formatServer(requests), async (url) => {
+      const markdown = [
+        fence('plantuml', '@startuml\nA -> B\n@enduml'),
+        fence('puml', '@startuml\nB -> C\n@enduml'),
+        fence('dot', 'digraph { a -> b }'),
+        fence('Vega-Lite', '{}'),
+        fence('python', 'print(1)')
+      ].join('\n');
+      const xml = await documentXml(markdown, { ...diagramOptions(url, ''), 'kroki-concurrency': 1 });
+      assert.strictEqual(xml.match(/<w:drawing>/g).length, 4);
+    });
+    assert.deepStrictEqual(requests.map(request => request.url),
+      ['/plantuml/png', '/plantuml/png', '/graphviz/png', '/vegalite/png']);
+  });
+
+  test('applies the theme of each diagram language', async () => {
+    const requests = [];
+    await withServer(formatServer(requests), async (url) => {
+      const markdown = [
+        fence('mermaid', 'graph TD; A-->B'),
+        fence('mermaid', "%%{init: {'theme': 'dark'}}%%\ngraph TD; C-->D"),
+        fence('plantuml', '@startuml\nA -> B\n@enduml'),
+        fence('plantuml', '@startuml\n!theme sketchy\nA -> B\n@enduml'),
+        fence('d2', 'a -> b'),
+        fence('graphviz', 'digraph { a -> b }')
+      ].join('\n');
+      await convertToZip(markdown, { ...diagramOptions(url, ''), 'kroki-concurrency': 1, theme: 'green' });
+    });
+    const [mermaid, mermaidInit, plantuml, plantumlTheme, d2, graphviz] = requests;
+    assert.strictEqual(mermaid.body, "%%{init: {'theme': 'forest'}}%%\ngraph TD; A-->B");
+    assert.strictEqual(mermaidInit.body, "%%{init: {'theme': 'dark'}}%%\ngraph TD; C-->D");
+    assert.strictEqual(plantuml.body, '@startuml\n!theme minty\nA -> B\n@enduml');
+    assert.strictEqual(plantumlTheme.body, '@startuml\n!theme sketchy\nA -> B\n@enduml');
+    assert.strictEqual(d2.body, 'a -> b');
+    assert.strictEqual(d2.headers['kroki-diagram-options-theme'], '104');
+    assert.strictEqual(graphviz.body, 'digraph { a -> b }');
+  });
+
+  test('embeds SVG-only diagrams with a PNG fallback', async () => {
+    const requests = [];
+    await withServer(formatServer(requests), async (url) => {
+      const zip = await convertToZip(fence('wavedrom', '{ signal: [] }'), diagramOptions(url, ''));
+      assert.strictEqual(imageCount(zip, 'svg'), 1);
+      assert.strictEqual(imageCount(zip, 'png'), 1);
+      const xml = await zip.file('word/document.xml').async('string');
+      assert.ok(xml.includes('<wp:extent cx="571500" cy="285750"/>'));
+    });
+    assert.deepStrictEqual(requests.map(request => request.url), ['/wavedrom/svg']);
+  });
+
+  test('shows the same placeholder for every diagram language when rendering fails', async () => {
+    await withServer(krokiServer([], 400), async (url) => {
+      let xml;
+      await captureConsole('warn', async () => {
+        xml = await documentXml(fence('plantuml', 'A -> B') + '\n' + fence('dot', 'digraph {}'), diagramOptions(url, ''));
+      });
+      assert.ok(xml.includes('[PlantUML diagram: Rendering failed'));
+      assert.ok(xml.includes('[Graphviz diagram: Rendering failed'));
+    });
+  });
+});
+
+describe('diagram rendering', () => {
+  const diagrams = (count) => Array.from({ length: count }, (_, i) => fence('mermaid', `graph TD; A-->N${i}`)).join('\n');
+
+  test('renders at most kroki-concurrency diagrams at a time, each unique diagram once', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const requests = [];
+    const handler = krokiServer(requests);
+    await withServer((req, res) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      setTimeout(() => {
+        active--;
+        handler(req, res);
+      }, 30);
+    }, async (url) => {
+      const xml = await documentXml(diagrams(5) + fence('mermaid', 'graph TD; A-->N0'), { ...diagramOptions(url, ''), 'kroki-concurrency': 2 });
+      assert.strictEqual(xml.match(/<w:drawing>/g).length, 6);
+    });
+    assert.strictEqual(requests.length, 5);
+    assert.strictEqual(maxActive, 2);
+  });
+
+  test('retries 5xx responses and gives up after kroki-retries', async () => {
+    const requests = [];
+    let failures = 1;
+    const handler = krokiServer(requests);
+    await withServer((req, res) => {
+      if (failures-- > 0) {
+        requests.push({ url: req.url });
+        res.writeHead(503);
+        res.end();
+        return;
+      }
+      handler(req, res);
+    }, async (url) => {
+      const zip = await convertToZip(MERMAID, { ...diagramOptions(url, ''), 'kroki-retries': 1 });
+      assert.strictEqual(imageCount(zip), 1);
+    });
+    assert.strictEqual(requests.length, 2);
+
+    const failed = [];
+    await withServer(krokiServer(failed, 502), async (url) => {
+      const warnings = await captureConsole('warn', async () => {
+        await documentXml(MERMAID, { ...diagramOptions(url, ''), 'kroki-retries': 1 });
+      });
+      assert.ok(warnings.some(message => message.includes('HTTP 502) after 2 attempts')));
+    });
+    assert.strictEqual(failed.length, 2);
+  });
+
+  test('does not retry client errors', async () => {
+    const requests = [];
+    await withServer(krokiServer(requests, 400), async (url) => {
+      await captureConsole('warn', () => documentXml(MERMAID, { ...diagramOptions(url, ''), 'kroki-retries': 2 }));
+    });
+    assert.strictEqual(requests.length, 1);
+  });
+
+  test('reports progress as completed/total', async () => {
+    await withServer(krokiServer([]), async (url) => {
+      const events = [];
+      await convertToZip(diagrams(3), diagramOptions(url, ''), { onProgress: (event) => events.push(event) });
+      const rendering = events.filter(event => event.label === 'Rendering diagrams...');
+      assert.deepStrictEqual(rendering.map(event => `${event.completed}/${event.total}`), ['0/3', '1/3', '2/3', '3/3']);
+    });
+  });
+
+  test('prints one progress line on the command line', async () => {
+    await withTempDir(async (dir) => {
+      const inputPath = path.join(dir, 'doc.md');
+      fs.writeFileSync(inputPath, diagrams(2));
+      await withServer(krokiServer([]), async (url) => {
+        const stdout = await runCli([inputPath, path.join(dir, 'doc.docx'), '--kroki-url', url]);
+        assert.strictEqual(stdout.split('\n').filter(line => line.startsWith('Rendering diagrams...')).join(), 'Rendering diagrams... 2/2');
+      });
+    });
+  });
+});
+
+describe('diagram cache', () => {
+  test('stores rendered diagrams and reuses them', async () => {
+    await withTempDir(async (dir) => {
+      const cacheDir = path.join(dir, 'cache');
+      const requests = [];
+      await withServer(krokiServer(requests), async (url) => {
+        assert.strictEqual(imageCount(await convertToZip(MERMAID, diagramOptions(url, cacheDir))), 1);
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].url, '/mermaid/png');
+        assert.strictEqual(fs.readdirSync(cacheDir).length, 1);
+
+        assert.strictEqual(imageCount(await convertToZip(MERMAID, diagramOptions(url, cacheDir))), 1);
+        assert.strictEqual(requests.length, 1);
+
+        await convertToZip(MERMAID, { ...diagramOptions(url, cacheDir), 'refresh-diagrams': true });
+        assert.strictEqual(requests.length, 2);
+      });
+    });
+  });
+
+  test('falls back to a cached image of another theme when rendering fails or offline', async () => {
+    await withTempDir(async (dir) => {
+      const cacheDir = path.join(dir, 'cache');
+      await withServer(krokiServer([]), async (url) => {
+        await convertToZip(MERMAID, diagramOptions(url, cacheDir));
+      });
+
+      const requests = [];
+      await withServer(krokiServer(requests, 500), async (url) => {
+        let zip;
+        const warnings = await captureConsole('warn', async () => {
+          zip = await convertToZip(MERMAID, { ...diagramOptions(url, cacheDir), theme: 'orange' });
+        });
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(imageCount(zip), 1);
+        assert.ok(warnings.some(message => message.includes('Using cached Mermaid diagram (rendering failed)')));
+
+        const offlineWarnings = await captureConsole('warn', async () => {
+          zip = await convertToZip(MERMAID, { ...diagramOptions(url, cacheDir), theme: 'green', offline: true });
+        });
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(imageCount(zip), 1);
+        assert.ok(offlineWarnings.some(message => message.includes('(offline)')));
+      });
+    });
+  });
+
+  test('deletes entries unused for diagram-cache-max-age days', async () => {
+    await withTempDir(async (dir) => {
+      const cacheDir = path.join(dir, 'cache');
+      fs.mkdirSync(cacheDir);
+      const old = path.join(cacheDir, '0123456789abcdef-0123456789abcdef.png');
+      const unrelated = path.join(cacheDir, 'notes.txt');
+      fs.writeFileSync(old, createPng(1, 1));
+      fs.writeFileSync(unrelated, 'keep');
+      const past = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+      fs.utimesSync(old, past, past);
+      fs.utimesSync(unrelated, past, past);
+
+      await withServer(krokiServer([]), async (url) => {
+        await convertToZip(MERMAID, { ...diagramOptions(url, cacheDir), 'diagram-cache-max-age': 5 });
+      });
+      assert.ok(!fs.existsSync(old));
+      assert.ok(fs.existsSync(unrelated));
+      assert.strictEqual(fs.readdirSync(cacheDir).length, 2);
+    });
+  });
+
+  test('converts without the cache when the cache directory cannot be read', async () => {
+    await withTempDir(async (dir) => {
+      // A file in place of the directory makes every directory access fail
+      const cacheDir = path.join(dir, 'cache');
+      fs.writeFileSync(cacheDir, '');
+      const requests = [];
+      await withServer(krokiServer(requests, 500), async (url) => {
+        let zip;
+        const warnings = await captureConsole('warn', async () => {
+          zip = await convertToZip(MERMAID, { ...diagramOptions(url, cacheDir), 'diagram-cache-max-age': 5 });
+        });
+        assert.strictEqual(imageCount(zip), 0);
+        assert.ok(warnings.some(message => message.includes('Failed to read diagram cache')));
+        assert.ok(warnings.some(message => message.includes('Failed to prune diagram cache')));
+
+        const offlineWarnings = await captureConsole('warn', async () => {
+          zip = await convertToZip(MERMAID, { ...diagramOptions(url, cacheDir), offline: true });
+        });
+        assert.ok(offlineWarnings.some(message => message.includes('not cached (offline)')));
+      });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { convertToZip, documentXml, withTempDir, writeFiles, captureConsole } = require('./helpers');
+
+/**
+ * Fonts of the run with the given text
+ * @param {string} xml - word/document.xml
+ * @param {string} text - Run text
+ * @returns {{ascii: string, hAnsi: string, eastAsia: string, cs: string}}
+ */
+function fontsOf(xml, text) {
+  const run = [...xml.matchAll(/<w:r>([\s\S]*?)<\/w:r>/g)].find(match => match[1].includes(`>${text}</w:t>`));
+  const rFonts = run[1].match(/<w:rFonts ([^>]*)\/>/)[1];
+  return Object.fromEntries([...rFonts.matchAll(/w:(\w+)="([^"]*)"/g)].map(match => [match[1], match[2]]));
+}
+
+/**
+ * Minimal TrueType file with only a "name" table holding the family name
+ * @param {string} family - Font family name (Windows, English)
+ * @returns {Buffer}
+ */
+function createTtf(family) {
+  const name = Buffer.from(family, 'utf16le').swap16();
+  const table = Buffer.alloc(18);
+  // format 0, one record, strings at offset 18
+  [0, 1, 18].forEach((value, i) => table.writeUInt16BE(value, i * 2));
+  // platform 3 (Windows), encoding 1, language 0x409, name ID 1 (family), length, offset
+  [3, 1, 0x409, 1, name.length, 0].forEach((value, i) => table.writeUInt16BE(value, 6 + i * 2));
+  const header = Buffer.alloc(28);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(1, 4);
+  header.write('name', 12, 'latin1');
+  header.writeUInt32BE(28, 20);
+  header.writeUInt32BE(table.length + name.length, 24);
+  return Buffer.concat([header, table, name]);
+}
+
+const SAMPLE = '# Heading\n\nBody text\n\n```\ncode line\n```\n';
+
+describe('fonts', () => {
+  test('sets the fonts of body text and headings per script', async () => {
+    const xml = await documentXml(SAMPLE, { 'font-ascii': 'Arial', 'font-east-asia': 'Yu Gothic', 'font-cs': 'Tahoma' });
+    const expected = { ascii: 'Arial', hAnsi: 'Arial', eastAsia: 'Yu Gothic', cs: 'Tahoma' };
+    assert.deepStrictEqual(fontsOf(xml, 'Heading'), expected);
+    assert.deepStrictEqual(fontsOf(xml, 'Body text'), expected);
+    // Code blocks keep the monospace font and use the body font for Japanese
+    assert.deepStrictEqual(fontsOf(xml, 'code line'), { ascii: 'Consolas', hAnsi: 'Consolas', eastAsia: 'Yu Gothic', cs: 'Consolas' });
+  });
+
+  test('keeps the theme fonts of the scripts that are not set', async () => {
+    const xml = await documentXml(SAMPLE, { 'font-ascii': 'Arial' });
+    assert.deepStrictEqual(fontsOf(xml, 'Body text'), { ascii: 'Arial', hAnsi: 'Arial', eastAsia: 'Meiryo', cs: 'Meiryo' });
+  });
+
+  test('overrides the fonts of a theme file', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'brand.yaml': 'fonts:\n  body: { ascii: Georgia, eastAsia: "MS Mincho" }\n  heading: Verdana\n  code: { ascii: Menlo }\n'
+      });
+      const themed = await documentXml(SAMPLE, { theme: path.join(dir, 'brand.yaml') });
+      assert.deepStrictEqual(fontsOf(themed, 'Body text'), { ascii: 'Georgia', hAnsi: 'Georgia', eastAsia: 'MS Mincho', cs: 'Meiryo' });
+      assert.deepStrictEqual(fontsOf(themed, 'Heading'), { ascii: 'Verdana', hAnsi: 'Verdana', eastAsia: 'Verdana', cs: 'Verdana' });
+      assert.strictEqual(fontsOf(themed, 'code line').ascii, 'Menlo');
+
+      const xml = await documentXml(SAMPLE, { theme: path.join(dir, 'brand.yaml'), 'font-east-asia': 'Yu Mincho', 'code-font': 'Courier New' });
+      assert.strictEqual(fontsOf(xml, 'Body text').eastAsia, 'Yu Mincho');
+      assert.strictEqual(fontsOf(xml, 'Heading').ascii, 'Verdana');
+      assert.strictEqual(fontsOf(xml, 'code line').ascii, 'Courier New');
+    });
+  });
+
+  test('reads font options from front matter', async () => {
+    const xml = await documentXml(`---\nfont-ascii: Calibri\ncode-font-east-asia: MS Gothic\n---\n\n${SAMPLE}`);
+    assert.strictEqual(fontsOf(xml, 'Body text').ascii, 'Calibri');
+    assert.strictEqual(fontsOf(xml, 'code line').eastAsia, 'MS Gothic');
+  });
+});
+
+describe('font embedding', () => {
+  test('embeds TrueType fonts under the family name stored in the file', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, { 'fonts/test-regular.ttf': createTtf('Test Sans') });
+      const zip = await convertToZip(SAMPLE, { 'font-ascii': 'Test Sans', 'embed-fonts': path.join(dir, 'fonts/test-regular.ttf') });
+      const fontTable = await zip.file('word/fontTable.xml').async('string');
+      assert.ok(fontTable.includes('<w:font w:name="Test Sans">'));
+      assert.ok(fontTable.includes('<w:embedRegular '));
+      assert.ok(zip.file('word/fonts/Test Sans.odttf'));
+    });
+  });
+
+  test('reads the font list of a config file relative to the config file', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'manual.yaml': 'embed-fonts:\n  - fonts/a.ttf\n  - fonts/b.ttf\n',
+        'fonts/a.ttf': createTtf('Font A'),
+        'fonts/b.ttf': createTtf('Font B')
+      });
+      const zip = await convertToZip(SAMPLE, {}, { configPath: path.join(dir, 'manual.yaml') });
+      assert.ok(zip.file('word/fonts/Font A.odttf'));
+      assert.ok(zip.file('word/fonts/Font B.odttf'));
+    });
+  });
+
+  test('skips missing, non-TrueType and unreadable font files with a warning', async () => {
+    await withTempDir(async (dir) => {
+      const truncated = createTtf('Broken').subarray(0, 30);
+      writeFiles(dir, {
+        'cff.otf': Buffer.concat([Buffer.from('OTTO'), Buffer.alloc(40)]),
+        'fonts.ttc': Buffer.concat([Buffer.from('ttcf'), Buffer.alloc(40)]),
+        'broken.ttf': truncated
+      });
+      const files = ['missing.ttf', 'cff.otf', 'fonts.ttc', 'broken.ttf'].map(name => path.join(dir, name));
+      let zip;
+      const warnings = await captureConsole('warn', async () => {
+        zip = await convertToZip(SAMPLE, { 'embed-fonts': files.join(',') });
+      });
+      assert.ok(warnings.some(message => message.includes('Font file not found')));
+      assert.strictEqual(warnings.filter(message => message.includes('Only TrueType fonts can be embedded')).length, 2);
+      assert.ok(warnings.some(message => message.includes('Font family name not found')));
+      assert.ok(!Object.keys(zip.files).some(name => name.startsWith('word/fonts/') && name !== 'word/fonts/'));
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parse, convertToZip, withTempDir, captureConsole } = require('./helpers');
+
+/**
+ * Footnote reference ids in document order
+ * @param {string} xml - word/document.xml
+ * @returns {string[]}
+ */
+function footnoteReferences(xml) {
+  return [...xml.matchAll(/<w:footnoteReference w:id="(\d+)"\/>/g)].map(match => match[1]);
+}
+
+describe('footnotes', () => {
+  test('removes definitions from the body', () => {
+    const elements = parse('Text[^1] more.\n\n[^1]: The note\n    continued.\n');
+    assert.deepStrictEqual(elements[0], { type: 'footnotes', definitions: { 1: 'The note continued.' } });
+    assert.deepStrictEqual(elements.slice(1), [{ type: 'paragraph', text: 'Text[^1] more.' }]);
+  });
+
+  test('numbers notes in order of first reference and reuses them', async () => {
+    const zip = await convertToZip('B[^b] A[^a] again[^b]\n\n[^a]: Note A\n[^b]: Note B\n');
+    const xml = await zip.file('word/document.xml').async('string');
+    const notes = await zip.file('word/footnotes.xml').async('string');
+    assert.deepStrictEqual(footnoteReferences(xml), ['1', '2', '1']);
+    assert.ok(notes.indexOf('Note B') < notes.indexOf('Note A'));
+  });
+
+  test('keeps undefined references as text', async () => {
+    let zip;
+    const warnings = await captureConsole('warn', async () => {
+      zip = await convertToZip('Missing[^x]\n');
+    });
+    const xml = await zip.file('word/document.xml').async('string');
+    assert.ok(xml.includes('[^x]'));
+    assert.deepStrictEqual(footnoteReferences(xml), []);
+    assert.ok(warnings.some(message => message.includes('[^x]')));
+  });
+
+  test('scopes labels to their chapter in book mode', async () => {
+    await withTempDir(async (dir) => {
+      fs.writeFileSync(path.join(dir, 'one.md'), '# One\n\nFirst[^1]\n\n[^1]: Chapter one note\n');
+      fs.writeFileSync(path.join(dir, 'two.md'), '# Two\n\nSecond[^1]\n');
+      const configPath = path.join(dir, 'book.yaml');
+      fs.writeFileSync(configPath, 'chapters:\n  - one.md\n  - two.md\n');
+
+      let zip;
+      const warnings = await captureConsole('warn', async () => {
+        zip = await convertToZip(null, {}, { configPath });
+      });
+      const xml = await zip.file('word/document.xml').async('string');
+      assert.deepStrictEqual(footnoteReferences(xml), ['1']);
+      assert.ok(xml.includes('>[^1]</w:t>'));
+      assert.ok(warnings.some(message => message.includes('[^1] is not defined')));
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { resolveOptions } = require('../md2mdocx.js');
+const { convertToZip, documentXml, withTempDir, captureConsole } = require('./helpers');
+
+describe('front matter', () => {
+  test('applies front matter between the config file and the command line', async () => {
+    await withTempDir((dir) => {
+      const configPath = path.join(dir, 'manual.yaml');
+      fs.writeFileSync(configPath, 'title: Config\nsubtitle: Config\nversion: "1.0"\n');
+      const options = resolveOptions({ version: '2.0' }, configPath, { subtitle: 'Front', version: '1.5' }, dir);
+      assert.strictEqual(options.title, 'Config');
+      assert.strictEqual(options.subtitle, 'Front');
+      assert.strictEqual(options.version, '2.0');
+    });
+  });
+
+  test('ignores network settings in front matter', async () => {
+    let options;
+    const warnings = await captureConsole('warn', () => {
+      options = resolveOptions({}, null, { 'kroki-url': 'http://attacker.example', title: 'Doc' });
+    });
+    assert.strictEqual(options.title, 'Doc');
+    assert.strictEqual(options['kroki-url'], resolveOptions({}, null)['kroki-url']);
+    assert.ok(warnings.some(message => message.includes('kroki-url')));
+  });
+
+  test('uses front matter for the cover page and removes it from the body', async () => {
+    const xml = await documentXml('---\ntitle: Front Title\n---\n\n# Intro\n\nBody\n');
+    assert.ok(xml.includes('Front Title'));
+    assert.ok(!xml.includes('title: Front Title'));
+  });
+
+  test('accepts a byte order mark, CRLF line ends and a ... terminator', async () => {
+    const xml = await documentXml('\uFEFF---\r\ntitle: Front Title\r\nversion: "3.1"\r\n...\r\n\r\nBody\r\n');
+    assert.ok(xml.includes('Front Title'));
+    assert.ok(xml.includes('3.1'));
+    assert.ok(!xml.includes('version:'));
+  });
+
+  test('keeps a leading block that is not a YAML mapping as document content', async () => {
+    const scalar = await documentXml('---\nJust a sentence\n---\n\nBody\n');
+    assert.ok(scalar.includes('Just a sentence'));
+    const list = await documentXml('---\n- first\n- second\n---\n\nBody\n');
+    assert.ok(list.includes('first'));
+    assert.ok(list.includes('second'));
+  });
+
+  test('applies presentation options from front matter', async () => {
+    const zip = await convertToZip('---\nheading-numbering: true\ntoc-depth: 2\n---\n\n# One\n');
+    const styles = await zip.file('word/styles.xml').async('string');
+    const xml = await zip.file('word/document.xml').async('string');
+    const headings = styles.match(/<w:style [^>]*w:styleId="Heading1">[\s\S]*?<\/w:style>/g);
+    assert.ok(headings[headings.length - 1].includes('<w:numPr>'));
+    assert.ok(xml.includes('TOC \\h \\o &quot;1-2&quot;'));
+  });
+
+  test('gives explicit options priority over front matter', async () => {
+    const xml = await documentXml('---\ntitle: Front Title\n---\n\nBody\n', { title: 'Explicit Title' });
+    assert.ok(xml.includes('Explicit Title'));
+    assert.ok(!xml.includes('Front Title'));
+  });
+
+  test('ignores the front matter of chapters in book mode', async () => {
+    await withTempDir(async (dir) => {
+      fs.writeFileSync(path.join(dir, 'book.yaml'), 'title: The Book\nchapters:\n  - one.md\n');
+      fs.writeFileSync(path.join(dir, 'one.md'), '---\ntitle: Chapter Title\n---\n\n# One\n\nChapter body\n');
+      const zip = await convertToZip(null, {}, { configPath: path.join(dir, 'book.yaml') });
+      const xml = await zip.file('word/document.xml').async('string');
+      assert.ok(xml.includes('The Book'));
+      assert.ok(xml.includes('Chapter body'));
+      assert.ok(!xml.includes('Chapter Title'));
+    });
+  });
+});
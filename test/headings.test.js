@@ -0,0 +1,104 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parse, convertToZip, documentXml } = require('./helpers');
+
+/**
+ * Definition of a paragraph style (the last one, after the docx built-in defaults)
+ * @param {string} styles - word/styles.xml
+ * @param {string} styleId - Style id
+ * @returns {string}
+ */
+function styleXml(styles, styleId) {
+  const matches = styles.match(new RegExp(`<w:style [^>]*w:styleId="${styleId}">[\\s\\S]*?</w:style>`, 'g'));
+  return matches[matches.length - 1];
+}
+
+/**
+ * Number formats of the heading numbering definition
+ * @param {string} numbering - word/numbering.xml
+ * @returns {string[]}
+ */
+function headingFormats(numbering) {
+  const definitions = numbering.match(/<w:abstractNum [\s\S]*?<\/w:abstractNum>/g);
+  const definition = definitions.find(xml => xml.includes('<w:suff w:val="space"/>'));
+  return [...definition.matchAll(/<w:lvlText w:val="([^"]*)"\/>/g)].map(match => match[1]);
+}
+
+/**
+ * Open word/styles.xml, word/numbering.xml and word/document.xml
+ * @param {string} markdown - Markdown source
+ * @param {object} options - Options
+ * @returns {Promise<{styles: string, numbering: string, xml: string}>}
+ */
+async function documentParts(markdown, options) {
+  const zip = await convertToZip(markdown, options);
+  const [styles, numbering, xml] = await Promise.all(
+    ['word/styles.xml', 'word/numbering.xml', 'word/document.xml'].map(name => zip.file(name).async('string'))
+  );
+  return { styles, numbering, xml };
+}
+
+describe('heading numbering', () => {
+  test('reads {-}, {.unnumbered} and ids from heading attributes', () => {
+    const headings = parse('# One\n\n## Two {-}\n\n## Three {.unnumbered #three}\n\n## Four {#four}\n');
+    assert.deepStrictEqual(headings.map(el => [el.text, el.numbered, el.id]), [
+      ['One', true, null], ['Two', false, null], ['Three', false, 'three'], ['Four', true, 'four']
+    ]);
+  });
+
+  test('is off by default', async () => {
+    const { styles } = await documentParts('# One\n');
+    assert.ok(!styleXml(styles, 'Heading1').includes('<w:numPr>'));
+  });
+
+  test('links the numbering to the Heading styles of the numbered levels', async () => {
+    const { styles, numbering } = await documentParts('# One\n', { 'heading-numbering': true });
+    const numIds = [1, 2, 3].map(level => {
+      const match = styleXml(styles, `Heading${level}`).match(/<w:numPr><w:ilvl w:val="(\d)"\/><w:numId w:val="(\d+)"\/><\/w:numPr>/);
+      assert.strictEqual(match[1], String(level - 1));
+      return match[2];
+    });
+    assert.strictEqual(new Set(numIds).size, 1);
+    assert.ok(!styleXml(styles, 'Heading4').includes('<w:numPr>'));
+    assert.deepStrictEqual(headingFormats(numbering).slice(0, 3), ['%1.', '%1.%2.', '%1.%2.%3.']);
+  });
+
+  test('takes the number formats and levels from the options', async () => {
+    const { styles, numbering } = await documentParts('# One\n', {
+      'heading-numbering': true, 'heading-numbering-levels': 4, 'heading-numbering-format': '第%1章, %1-%2'
+    });
+    assert.ok(styleXml(styles, 'Heading4').includes('<w:ilvl w:val="3"/>'));
+    assert.ok(!styleXml(styles, 'Heading5').includes('<w:numPr>'));
+    assert.deepStrictEqual(headingFormats(numbering).slice(0, 3), ['第%1章', '%1-%2', '%1.%2.%3.']);
+
+    const fromList = await documentParts('# One\n', { 'heading-numbering': true, 'heading-numbering-format': ['%1)', '%1.%2)'] });
+    assert.deepStrictEqual(headingFormats(fromList.numbering).slice(0, 2), ['%1)', '%1.%2)']);
+  });
+
+  test('turns the numbering off for excluded headings', async () => {
+    const { xml } = await documentParts('# One\n\n# Appendix {-}\n\n## Notes {.unnumbered}\n\n#### Deep {-}\n', { 'heading-numbering': true });
+    const headings = xml.match(/<w:pPr><w:pStyle w:val="Heading\d"\/>[\s\S]*?<\/w:pPr>/g);
+    assert.deepStrictEqual(headings.map(pPr => pPr.includes('<w:numId w:val="0"/>')), [false, true, true, false]);
+    assert.ok(xml.includes('>Appendix<'));
+    assert.ok(!xml.includes('{-}'));
+  });
+});
+
+describe('heading levels', () => {
+  test('maps #### to ###### to Heading 4-6 with their own size and indent', async () => {
+    const { styles, xml } = await documentParts('#### Four\n\n##### Five\n\n###### Six\n');
+    const headings = [...xml.matchAll(/<w:pStyle w:val="(Heading\d)"\/>[\s\S]*?<w:ind w:left="(\d+)"\/>/g)]
+      .map(match => [match[1], match[2]]);
+    assert.deepStrictEqual(headings, [['Heading4', '540'], ['Heading5', '720'], ['Heading6', '900']]);
+    assert.ok(styleXml(styles, 'Heading4').includes('<w:sz w:val="21"/>'));
+    assert.ok(styleXml(styles, 'Heading5').includes('<w:sz w:val="20"/>'));
+    assert.ok(styleXml(styles, 'Heading6').includes('<w:i/>'));
+    assert.ok(styleXml(styles, 'Heading6').includes('<w:outlineLvl w:val="5"/>'));
+  });
+
+  test('limits the TOC to toc-depth levels', async () => {
+    assert.ok((await documentXml('# One\n')).includes('TOC \\h \\o &quot;1-3&quot;'));
+    assert.ok((await documentXml('# One\n', { 'toc-depth': 5 })).includes('TOC \\h \\o &quot;1-5&quot;'));
+    assert.ok((await documentXml('# One\n', { 'toc-depth': 9 })).includes('TOC \\h \\o &quot;1-6&quot;'));
+  });
+});
@@ -0,0 +1,179 @@
+// Shared helpers for the node:test suites
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const JSZip = require('jszip');
+const { convert, MarkdownParser } = require('../md2mdocx.js');
+
+// ネットワークとキャッシュを使わない設定
+const OFFLINE = { diagrams: false, offline: true, 'image-cache': '', 'diagram-cache': '' };
+
+/**
+ * Parse Markdown into elements
+ * @param {string} markdown - Markdown text
+ * @returns {Array} - Parsed elements
+ */
+function parse(markdown) {
+  return new MarkdownParser(markdown).parse();
+}
+
+/**
+ * Convert Markdown offline and open the docx
+ * @param {string|null} markdown - Markdown text (null: read inputPath)
+ * @param {object} options - Options on top of OFFLINE
+ * @param {object} params - Other convert() parameters (inputPath, configPath, ...)
+ * @returns {Promise<JSZip>}
+ */
+async function convertToZip(markdown, options = {}, params = {}) {
+  const buffer = await convert({ markdown, ...params, options: { ...OFFLINE, ...options } });
+  return JSZip.loadAsync(buffer);
+}
+
+/**
+ * Convert Markdown offline and return word/document.xml
+ * @param {string|null} markdown - Markdown text (null: read inputPath)
+ * @param {object} options - Options on top of OFFLINE
+ * @param {object} params - Other convert() parameters
+ * @returns {Promise<string>}
+ */
+async function documentXml(markdown, options = {}, params = {}) {
+  const zip = await convertToZip(markdown, options, params);
+  return zip.file('word/document.xml').async('string');
+}
+
+/**
+ * Paragraphs of a document with their plain text
+ * @param {string} xml - word/document.xml
+ * @returns {Array<{text: string, xml: string}>}
+ */
+function paragraphs(xml) {
+  return [...xml.matchAll(/<w:p>(?:(?!<\/w:p>)[\s\S])*?<\/w:p>/g)].map(match => ({
+    text: [...match[0].matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map(text => text[1]).join(''),
+    xml: match[0]
+  }));
+}
+
+/**
+ * The first paragraph whose text starts with the given text
+ * @param {string} xml - word/document.xml
+ * @param {string} text - Start of the paragraph text
+ * @returns {{text: string, xml: string}}
+ * @throws {Error} - When there is no such paragraph
+ */
+function paragraphStarting(xml, text) {
+  const paragraph = paragraphs(xml).find(p => p.text.startsWith(text));
+  if (!paragraph) throw new Error(`No paragraph starts with "${text}"`);
+  return paragraph;
+}
+
+/**
+ * Run fn with a temporary directory that is removed afterwards
+ * @param {function(string): *} fn - Receives the directory path (may be async)
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md2mdocx-test-'));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Write files below a directory, creating subdirectories as needed
+ * @param {string} dir - Base directory
+ * @param {Object<string, string|Buffer>} files - Relative path to content
+ */
+function writeFiles(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+/**
+ * Collect console output of one method while fn runs (the output is not printed)
+ * @param {string} method - 'log' or 'warn'
+ * @param {Function} fn - Code to run (may be async)
+ * @returns {Promise<string[]>} - Captured messages
+ */
+async function captureConsole(method, fn) {
+  const original = console[method];
+  const messages = [];
+  console[method] = (...args) => { messages.push(args.join(' ')); };
+  try {
+    await fn();
+  } finally {
+    console[method] = original;
+  }
+  return messages;
+}
+
+/**
+ * CRC-32 of a PNG chunk
+ * @param {Buffer} data - Chunk type and data
+ * @returns {number}
+ */
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create a solid gray RGB PNG image
+ * @param {number} width - Width (pixels)
+ * @param {number} height - Height (pixels)
+ * @returns {Buffer}
+ */
+function createPng(width, height) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 2;  // RGB
+  const row = Buffer.concat([Buffer.from([0]), Buffer.alloc(width * 3, 0x80)]);
+  const pixels = Buffer.concat(Array.from({ length: height }, () => row));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(pixels)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Run fn against a local HTTP server
+ * @param {function(http.IncomingMessage, http.ServerResponse)} handler - Request handler
+ * @param {function(string): *} fn - Receives the base URL (http://127.0.0.1:port, may be async)
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withServer(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+module.exports = {
+  OFFLINE, parse, convertToZip, documentXml, paragraphs, paragraphStarting,
+  withTempDir, writeFiles, captureConsole, createPng, withServer
+};
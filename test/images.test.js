@@ -0,0 +1,211 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { convertToZip, documentXml, withTempDir, captureConsole, createPng, withServer } = require('./helpers');
+
+/**
+ * Display sizes of the embedded images in pixels
+ * @param {string} xml - word/document.xml
+ * @returns {Array<{width: number, height: number}>}
+ */
+function imageSizes(xml) {
+  return [...xml.matchAll(/<wp:extent cx="(\d+)" cy="(\d+)"\/>/g)]
+    .map(match => ({ width: Math.round(match[1] / 9525), height: Math.round(match[2] / 9525) }));
+}
+
+/**
+ * data: URI of binary data
+ * @param {string} mime - MIME type
+ * @param {Buffer} data - Image data
+ * @returns {string}
+ */
+function dataUri(mime, data) {
+  return `data:${mime};base64,${data.toString('base64')}`;
+}
+
+/**
+ * WebP header with the given size (enough to read the dimensions, no image data)
+ * @param {string} chunk - 'VP8 ', 'VP8L' or 'VP8X'
+ * @param {number} width - Width (pixels)
+ * @param {number} height - Height (pixels)
+ * @returns {Buffer}
+ */
+function createWebpHeader(chunk, width, height) {
+  const data = Buffer.alloc(30);
+  data.write('RIFF', 0, 'ascii');
+  data.writeUInt32LE(22, 4);
+  data.write('WEBP', 8, 'ascii');
+  data.write(chunk, 12, 'ascii');
+  data.writeUInt32LE(10, 16);
+  if (chunk === 'VP8 ') {
+    data.set([0x9D, 0x01, 0x2A], 23);
+    data.writeUInt16LE(width, 26);
+    data.writeUInt16LE(height, 28);
+  } else if (chunk === 'VP8L') {
+    data[20] = 0x2F;
+    data.writeUInt32LE((width - 1) | ((height - 1) << 14), 21);
+  } else {
+    data.writeUIntLE(width - 1, 24, 3);
+    data.writeUIntLE(height - 1, 27, 3);
+  }
+  return data;
+}
+
+// 1x1 lossless WebP image
+const WEBP_PIXEL = Buffer.from('UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA==', 'base64');
+
+/**
+ * Names of the embedded media files
+ * @param {JSZip} zip - Opened docx
+ * @returns {string[]}
+ */
+function mediaFiles(zip) {
+  return Object.keys(zip.files).filter(name => name.startsWith('word/media/') && !name.endsWith('/'));
+}
+
+describe('image sizes', () => {
+  test('reads the intrinsic size of PNG, JPEG, GIF, BMP and SVG images', async () => {
+    const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00,
+      0xFF, 0xC0, 0x00, 0x11, 0x08, 0x00, 0x28, 0x00, 0x50, 0x03, 0x00, 0x00, 0x00, 0x00]);
+    const gif = Buffer.concat([Buffer.from('GIF89a', 'ascii'), Buffer.from([60, 0, 30, 0]), Buffer.alloc(8)]);
+    const bmp = Buffer.alloc(30);
+    bmp.write('BM', 0, 'ascii');
+    bmp.writeUInt32LE(40, 14);
+    bmp.writeInt32LE(70, 18);
+    bmp.writeInt32LE(-35, 22);
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="90" height="45"><rect width="90" height="45"/></svg>');
+
+    const xml = await (await convertToZip([
+      `![png](${dataUri('image/png', createPng(50, 25))})`,
+      `![jpeg](${dataUri('image/jpeg', jpeg)})`,
+      `![gif](${dataUri('image/gif', gif)})`,
+      `![bmp](${dataUri('image/bmp', bmp)})`,
+      `![svg](${dataUri('image/svg+xml', svg)})`
+    ].join('\n\n') + '\n')).file('word/document.xml').async('string');
+    assert.deepStrictEqual(imageSizes(xml), [
+      { width: 50, height: 25 }, { width: 80, height: 40 }, { width: 60, height: 30 },
+      { width: 70, height: 35 }, { width: 90, height: 45 }
+    ]);
+  });
+
+  test('reads the size of lossy, lossless and extended WebP images', async () => {
+    const zip = await convertToZip([
+      `![lossy](${dataUri('image/webp', createWebpHeader('VP8 ', 120, 60))})`,
+      `![lossless](${dataUri('image/webp', createWebpHeader('VP8L', 100, 40))})`,
+      `![extended](${dataUri('image/webp', createWebpHeader('VP8X', 30, 90))})`
+    ].join('\n\n') + '\n');
+    const xml = await zip.file('word/document.xml').async('string');
+    assert.deepStrictEqual(imageSizes(xml), [
+      { width: 120, height: 60 }, { width: 100, height: 40 }, { width: 30, height: 90 }
+    ]);
+  });
+
+  test('embeds WebP images with their content type', async () => {
+    const zip = await convertToZip(`![pixel](${dataUri('image/webp', WEBP_PIXEL)})\n`);
+    assert.deepStrictEqual(mediaFiles(zip).map(name => path.extname(name)), ['.webp']);
+    const contentTypes = await zip.file('[Content_Types].xml').async('string');
+    assert.ok(contentTypes.includes('<Default Extension="webp" ContentType="image/webp"/>'));
+    const xml = await zip.file('word/document.xml').async('string');
+    assert.deepStrictEqual(imageSizes(xml), [{ width: 1, height: 1 }]);
+  });
+
+  test('keeps the aspect ratio and scales down to the content width', async () => {
+    const src = dataUri('image/png', createPng(200, 100));
+    const wide = dataUri('image/png', createPng(1200, 300));
+    const xml = await (await convertToZip([
+      `<img src="${src}" width="100">`,
+      `<img src="${src}" height="20">`,
+      `<img src="${src}" width="50%">`,
+      `![wide](${wide})`,
+      '## Section',
+      `![wide](${wide})`
+    ].join('\n\n') + '\n')).file('word/document.xml').async('string');
+    // Content width: (11906 - 2 * 1440) twips = 602px; level 2 headings indent by 360 twips (24px)
+    assert.deepStrictEqual(imageSizes(xml), [
+      { width: 100, height: 50 }, { width: 40, height: 20 }, { width: 301, height: 150 },
+      { width: 602, height: 150 }, { width: 578, height: 144 }
+    ]);
+  });
+
+  test('embeds SVG images with a PNG fallback', async () => {
+    await withTempDir(async (dir) => {
+      const inputPath = path.join(dir, 'doc.md');
+      fs.writeFileSync(inputPath, '![diagram](diagram.svg)\n');
+      fs.writeFileSync(path.join(dir, 'diagram.svg'), '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20"/>');
+      fs.writeFileSync(path.join(dir, 'diagram.png'), createPng(40, 20));
+      const zip = await convertToZip(null, {}, { inputPath });
+      assert.deepStrictEqual(mediaFiles(zip).map(name => path.extname(name)).sort(), ['.png', '.svg']);
+    });
+  });
+});
+
+describe('remote images', () => {
+  const png = createPng(40, 20);
+  const imageServer = (requests) => (req, res) => {
+    requests.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(png);
+  };
+
+  test('embeds http(s) images and data URIs', async () => {
+    const requests = [];
+    await withServer(imageServer(requests), async (url) => {
+      const dataUri = `data:image/png;base64,${png.toString('base64')}`;
+      const zip = await convertToZip(`![remote](${url}/a.png)\n\nInline <img src="${dataUri}"> image\n`, { offline: false });
+      assert.deepStrictEqual(requests, ['/a.png']);
+      assert.strictEqual(mediaFiles(zip).length, 1);
+    });
+  });
+
+  test('does not fetch img tags in code blocks or code spans', async () => {
+    const requests = [];
+    await withServer(imageServer(requests), async (url) => {
+      const markdown = [
+        '```html',
+        `<img src="${url}/fenced.png">`,
+        '```',
+        '',
+        'To embed an image, write',
+        `\`<img src="${url}/span.png">\``,
+        '',
+        '| Markup | Result |',
+        '|---|---|',
+        `| \`<img src="${url}/cell-span.png">\` | <img src="${url}/cell.png" width="10"> |`,
+        '',
+        `> <img src="${url}/quote.png">`,
+        ''
+      ].join('\n');
+      await documentXml(markdown, { offline: false });
+      assert.deepStrictEqual(requests.sort(), ['/cell.png', '/quote.png']);
+    });
+  });
+
+  test('reuses the cache offline and warns about uncached images', async () => {
+    await withTempDir(async (dir) => {
+      const requests = [];
+      await withServer(imageServer(requests), async (url) => {
+        const options = { offline: false, 'image-cache': path.join(dir, 'images') };
+        await documentXml(`![a](${url}/a.png)\n`, options);
+        assert.strictEqual(fs.readdirSync(path.join(dir, 'images')).length, 1);
+
+        let zip;
+        const warnings = await captureConsole('warn', async () => {
+          zip = await convertToZip(`![a](${url}/a.png)\n\n![b](${url}/b.png)\n`, { ...options, offline: true });
+        });
+        assert.deepStrictEqual(requests, ['/a.png']);
+        assert.strictEqual(mediaFiles(zip).length, 1);
+        assert.ok(warnings.some(message => message.includes(`${url}/b.png`)));
+      });
+    });
+  });
+
+  test('shows invalid image URLs as placeholders', async () => {
+    let xml;
+    await captureConsole('warn', async () => {
+      xml = await documentXml('![x](https://)\n\n<img src="http://[bad/a.png">\n');
+    });
+    assert.ok(xml.includes('[Image: https://]'));
+    assert.ok(xml.includes('[Image: http://[bad/a.png]'));
+  });
+});
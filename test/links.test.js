@@ -0,0 +1,74 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { convertToZip, documentXml, captureConsole } = require('./helpers');
+
+/**
+ * Targets of the external hyperlinks
+ * @param {JSZip} zip - Opened docx
+ * @returns {Promise<string[]>}
+ */
+async function externalLinks(zip) {
+  const rels = await zip.file('word/_rels/document.xml.rels').async('string');
+  return [...rels.matchAll(/Target="([^"]+)" TargetMode="External"/g)].map(match => match[1]);
+}
+
+/**
+ * Bookmark names in document order
+ * @param {string} xml - word/document.xml
+ * @returns {string[]}
+ */
+function bookmarkNames(xml) {
+  return [...xml.matchAll(/<w:bookmarkStart w:name="([^"]+)"/g)].map(match => match[1]);
+}
+
+describe('links', () => {
+  test('renders external links and autolinks as hyperlinks', async () => {
+    const zip = await convertToZip('Read [the docs](https://example.com/docs "Docs") or <https://example.com> or <mailto:a@example.com>.\n');
+    const xml = await zip.file('word/document.xml').async('string');
+    assert.deepStrictEqual(await externalLinks(zip), ['https://example.com/docs', 'https://example.com', 'mailto:a@example.com']);
+    assert.strictEqual(xml.match(/<w:hyperlink /g).length, 3);
+    assert.ok(xml.includes('>a@example.com</w:t>'));
+    assert.ok(xml.includes('<w:rStyle w:val="Hyperlink"/>'));
+  });
+
+  test('links to headings by GitHub-style slugs and custom ids', async () => {
+    const xml = await documentXml([
+      '# Getting Started!',
+      '## Setup',
+      '## Setup',
+      '## Install steps {#install}',
+      '',
+      '[a](#getting-started) [b](#setup) [c](#setup-1) [d](#install)',
+      ''
+    ].join('\n'));
+    const anchors = [...xml.matchAll(/<w:hyperlink w:history="1" w:anchor="([^"]+)">/g)].map(match => match[1]);
+    const bookmarks = bookmarkNames(xml);
+    assert.strictEqual(new Set(bookmarks).size, 4);
+    assert.deepStrictEqual(anchors, bookmarks);
+  });
+
+  test('keeps links to unknown headings as text', async () => {
+    let xml;
+    const warnings = await captureConsole('warn', async () => {
+      xml = await documentXml('See [nowhere](#missing).\n');
+    });
+    assert.ok(!xml.includes('<w:hyperlink'));
+    assert.ok(xml.includes('>nowhere</w:t>'));
+    assert.ok(warnings.some(message => message.includes('#missing')));
+  });
+
+  test('parses links inside bold and italic text', async () => {
+    const zip = await convertToZip('# Setup\n\n**see [docs](https://x.y)** and *go to [setup](#setup)*\n');
+    const xml = await zip.file('word/document.xml').async('string');
+    assert.deepStrictEqual(await externalLinks(zip), ['https://x.y']);
+    assert.ok(!xml.includes('[docs]'));
+    assert.ok(/<w:hyperlink [^>]*><w:r><w:rPr><w:rStyle w:val="Hyperlink"\/>(?:<w:rFonts[^>]*\/>)?<w:b\/>[\s\S]*?>docs</.test(xml));
+    assert.ok(/<w:hyperlink w:history="1" w:anchor="[^"]+"><w:r><w:rPr><w:rStyle w:val="Hyperlink"\/>(?:<w:rFonts[^>]*\/>)?<w:i\/>[\s\S]*?>setup</.test(xml));
+  });
+
+  test('does not parse links inside code spans', async () => {
+    const zip = await convertToZip('Write `[text](https://x.y)` for a link.\n');
+    assert.deepStrictEqual(await externalLinks(zip), []);
+    assert.ok((await zip.file('word/document.xml').async('string')).includes('>[text](https://x.y)</w:t>'));
+  });
+});
@@ -0,0 +1,150 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parse, convertToZip, documentXml, paragraphStarting, createPng } = require('./helpers');
+
+/**
+ * Numbering of a list paragraph
+ * @param {{xml: string}} paragraph - Paragraph from paragraphStarting()
+ * @returns {{level: number, numId: string}|null}
+ */
+function numberingOf(paragraph) {
+  const match = paragraph.xml.match(/<w:numPr><w:ilvl w:val="(\d)"\/><w:numId w:val="(\d+)"\/><\/w:numPr>/);
+  return match ? { level: Number(match[1]), numId: match[2] } : null;
+}
+
+/**
+ * Level formats and start numbers of the numbering definition behind a numId
+ * @param {string} numbering - word/numbering.xml
+ * @param {string} numId - Numbering instance id
+ * @returns {Array<{format: string, text: string, start: number}>}
+ */
+function numberingLevels(numbering, numId) {
+  const abstractId = numbering.match(new RegExp(`<w:num w:numId="${numId}"><w:abstractNumId w:val="(\\d+)"/>`))[1];
+  const definition = numbering.match(new RegExp(`<w:abstractNum w:abstractNumId="${abstractId}"[\\s\\S]*?</w:abstractNum>`))[0];
+  return [...definition.matchAll(/<w:start w:val="(\d+)"\/><w:numFmt w:val="(\w+)"\/><w:lvlText w:val="([^"]*)"\/>/g)]
+    .map(match => ({ format: match[2], text: match[3], start: Number(match[1]) }));
+}
+
+describe('task lists', () => {
+  test('reads the checked state of task items', () => {
+    const [list] = parse('- [ ] open\n- [x] done\n- [X] also done\n- [] not a task\n');
+    assert.deepStrictEqual(list.items.map(item => [item.text, item.checked]), [
+      ['open', false], ['done', true], ['also done', true], ['[] not a task', undefined]
+    ]);
+  });
+
+  test('renders tickable checkbox content controls by default', async () => {
+    const xml = await documentXml('- [ ] open\n- [x] **done**\n');
+    const open = paragraphStarting(xml, '\topen');
+    assert.ok(open.xml.includes('<w14:checked w14:val="0"/>'));
+    assert.ok(open.xml.includes('<w:sym w:char="2610" w:font="MS Gothic"/>'));
+    assert.ok(open.xml.includes('<w:ind w:left="720" w:hanging="360"/>'));
+    const done = paragraphStarting(xml, '\tdone');
+    assert.ok(done.xml.includes('<w14:checked w14:val="1"/>'));
+    assert.ok(done.xml.includes('<w:sym w:char="2611" w:font="MS Gothic"/>'));
+    assert.ok(done.xml.includes('<w:b/>'));
+    assert.ok(!xml.includes('[ ]') && !xml.includes('[x]'));
+  });
+
+  test('writes ☐/☑ glyphs with task-checkbox: glyph', async () => {
+    const xml = await documentXml('- [ ] open\n  - [x] nested\n', { 'task-checkbox': 'glyph' });
+    assert.strictEqual(paragraphStarting(xml, '☐').text, '☐\topen');
+    const nested = paragraphStarting(xml, '☑');
+    assert.strictEqual(nested.text, '☑\tnested');
+    assert.ok(nested.xml.includes('<w:ind w:left="1080" w:hanging="360"/>'));
+    assert.ok(!xml.includes('<w14:checkbox>'));
+  });
+
+  test('keeps numbered task items checkable', async () => {
+    const xml = await documentXml('1. [x] first\n2. [ ] second\n', { 'task-checkbox': 'glyph' });
+    assert.strictEqual(paragraphStarting(xml, '☑').text, '☑\tfirst');
+    assert.strictEqual(paragraphStarting(xml, '☐').text, '☐\tsecond');
+  });
+});
+
+describe('multi-level lists', () => {
+  test('keeps the type, level and start number of every item', () => {
+    const [list] = parse('3. top\n   1. sub\n      1. deep\n   - bullet\n4. next\n');
+    assert.deepStrictEqual(list.items.map(item => [item.text, item.level, item.ordered, item.number]), [
+      ['top', 0, true, 3], ['sub', 1, true, 1], ['deep', 2, true, 1], ['bullet', 1, false, null], ['next', 0, true, 4]
+    ]);
+  });
+
+  test('numbers levels as 1. / a. / i. from the start number', async () => {
+    const zip = await convertToZip('3. top\n   1. sub\n      1. deep\n4. next\n');
+    const xml = await zip.file('word/document.xml').async('string');
+    const numbering = await zip.file('word/numbering.xml').async('string');
+    const top = numberingOf(paragraphStarting(xml, 'top'));
+    assert.strictEqual(top.level, 0);
+    assert.deepStrictEqual(numberingOf(paragraphStarting(xml, 'next')), top);
+    assert.strictEqual(numberingOf(paragraphStarting(xml, 'sub')).level, 1);
+    assert.strictEqual(numberingOf(paragraphStarting(xml, 'deep')).level, 2);
+    assert.deepStrictEqual(numberingLevels(numbering, top.numId).slice(0, 3), [
+      { format: 'decimal', text: '%1.', start: 3 },
+      { format: 'lowerLetter', text: '%2.', start: 1 },
+      { format: 'lowerRoman', text: '%3.', start: 1 }
+    ]);
+    assert.ok(new RegExp(`<w:num w:numId="${top.numId}"><w:abstractNumId w:val="\\d+"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="3"/>`).test(numbering));
+  });
+
+  test('restarts nested numbering under every parent item', async () => {
+    const xml = await documentXml('1. one\n   1. one-a\n2. two\n   1. two-a\n');
+    assert.notStrictEqual(numberingOf(paragraphStarting(xml, 'one-a')).numId, numberingOf(paragraphStarting(xml, 'two-a')).numId);
+  });
+
+  test('keeps bullets in numbered lists and numbers in bullet lists', async () => {
+    const xml = await documentXml('1. step\n   - note\n\n- item\n  1. numbered\n');
+    const note = paragraphStarting(xml, '-\t');
+    assert.strictEqual(note.text, '-\tnote');
+    assert.strictEqual(numberingOf(note), null);
+    assert.strictEqual(paragraphStarting(xml, '・').text, '・\titem');
+    assert.strictEqual(numberingOf(paragraphStarting(xml, 'numbered')).level, 1);
+  });
+
+  test('writes the numbers as text where Word numbering is not used', async () => {
+    const xml = await documentXml('> 2. two\n>    1. a\n>    2. b\n>       1. i\n>       4. iv\n');
+    assert.ok(paragraphStarting(xml, '2.\ttwo'));
+    assert.ok(paragraphStarting(xml, 'b.\tb'));
+    assert.ok(paragraphStarting(xml, 'ii.\tiv'));
+  });
+});
+
+describe('list item continuation', () => {
+  test('joins lazy continuation lines and keeps indented paragraphs in the item', () => {
+    const [list] = parse('- one\n  continued\n\n  second paragraph\n- two\n');
+    assert.strictEqual(list.type, 'list');
+    assert.strictEqual(list.items[0].text, 'one continued');
+    assert.strictEqual(list.items[1].continuation, true);
+    assert.deepStrictEqual(list.items[1].children, [{ type: 'paragraph', text: 'second paragraph' }]);
+    assert.strictEqual(list.items[2].text, 'two');
+  });
+
+  test('keeps fenced code, images and tables under an item', () => {
+    const elements = parse('1. Run\n\n   ```sh\n   ./install\n\n   echo done\n   ```\n\n   ![shot](a.png)\n\n   | A |\n   |---|\n   | 1 |\n\n2. Check\n\nAfter\n');
+    assert.deepStrictEqual(elements.map(el => el.type), ['list', 'paragraph']);
+    const [list] = elements;
+    assert.deepStrictEqual(list.items.map(item => item.text || item.children.map(child => child.type).join()), ['Run', 'code,image,table', 'Check']);
+    assert.strictEqual(list.items[1].children[0].content, './install\n\necho done');
+  });
+
+  test('lines up continuation blocks with the item text and keeps numbering', async () => {
+    const image = `data:image/png;base64,${createPng(10, 10).toString('base64')}`;
+    const xml = await documentXml(`1. one\n\n   para\n\n   ![shot](${image})\n\n   | A |\n   |---|\n   | 1 |\n\n   \`\`\`\n   code\n   \`\`\`\n\n2. two\n\nafter\n`);
+    const one = paragraphStarting(xml, 'one');
+    assert.ok(paragraphStarting(xml, 'para').xml.includes('<w:ind w:left="720"/>'));
+    assert.ok(/<w:p><w:pPr><w:keepNext w:val="false"\/><w:ind w:left="720"\/><w:jc w:val="center"\/><\/w:pPr><w:r><w:drawing>/.test(xml));
+    assert.ok(xml.includes('<w:tblInd w:type="dxa" w:w="720"/>'));
+    // Code under a list item is not offset further
+    assert.ok(paragraphStarting(xml, 'code').xml.includes('<w:ind w:left="720" w:hanging="0"/>'));
+    assert.deepStrictEqual(numberingOf(paragraphStarting(xml, 'two')), numberingOf(one));
+    assert.ok(paragraphStarting(xml, 'after').xml.includes('<w:ind w:left="0"/>'));
+  });
+
+  test('names the bookmarks of headings inside list items', async () => {
+    const xml = await documentXml('# Top\n\n- item\n\n  ## Nested heading\n\n[link](#nested-heading)\n');
+    const names = (xml.match(/<w:bookmarkStart [^>]*>/g) || []).map(tag => (tag.match(/w:name="([^"]*)"/) || [])[1]);
+    assert.strictEqual(names.length, 2);
+    assert.ok(names.every(Boolean));
+    assert.ok(xml.includes(`w:anchor="${names[1]}"`));
+  });
+});
@@ -0,0 +1,90 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parse, documentXml, paragraphStarting } = require('./helpers');
+
+describe('admonitions', () => {
+  test('recognizes the GitHub alert kinds and custom titles', () => {
+    const elements = parse('> [!NOTE]\n> a\n\n> [!tip]\n> b\n\n> [!IMPORTANT]\n> c\n\n> [!WARNING] Hot surface\n> d\n\n> [!CAUTION]\n> e\n\n> [!OTHER]\n> f\n');
+    assert.deepStrictEqual(elements.map(el => [el.type, el.kind, el.title]), [
+      ['admonition', 'note', null], ['admonition', 'tip', null], ['admonition', 'important', null],
+      ['admonition', 'warning', 'Hot surface'], ['admonition', 'caution', null], ['blockquote', undefined, undefined]
+    ]);
+  });
+
+  test('parses the admonition body as nested blocks', () => {
+    const [note] = parse('> [!WARNING]\n> Body **text**\n> - item\n');
+    assert.strictEqual(note.type, 'admonition');
+    assert.strictEqual(note.kind, 'warning');
+    assert.deepStrictEqual(note.children.map(child => child.type), ['paragraph', 'list']);
+    assert.strictEqual(note.children[1].items[0].text, 'item');
+  });
+
+  test('renders a bordered, shaded box with an icon and label', async () => {
+    const xml = await documentXml('> [!WARNING]\n> Body **text**\n');
+    const label = paragraphStarting(xml, '⚠ ');
+    assert.strictEqual(label.text, '⚠ Warning');
+    assert.ok(label.xml.includes('<w:shd w:fill="FFF6DA" w:val="clear"/>'));
+    assert.ok(label.xml.includes('<w:left w:val="single" w:color="BF9000" w:sz="24" w:space="6"/>'));
+    assert.ok(label.xml.includes('<w:keepNext/>'));
+
+    // The body shares the box and gets inline markup
+    const body = paragraphStarting(xml, 'Body ');
+    assert.strictEqual(body.text, 'Body text');
+    assert.ok(body.xml.includes('<w:shd w:fill="FFF6DA" w:val="clear"/>'));
+    assert.ok(body.xml.includes('<w:b/>'));
+    assert.ok(!xml.includes('[!WARNING]'));
+  });
+
+  test('uses the custom title and the colors of the theme', async () => {
+    const xml = await documentXml('> [!NOTE] Before you start\n> Read this.\n', { theme: 'orange' });
+    const label = paragraphStarting(xml, 'ℹ ');
+    assert.strictEqual(label.text, 'ℹ Before you start');
+    assert.ok(label.xml.includes('w:color="B45F06"'));
+    assert.ok(label.xml.includes('<w:shd w:fill="FEF1E4" w:val="clear"/>'));
+  });
+
+  test('renders a label-only box when there is no body', async () => {
+    const label = paragraphStarting(await documentXml('> [!TIP]\n'), '✔ ');
+    assert.strictEqual(label.text, '✔ Tip');
+    assert.ok(!label.xml.includes('<w:keepNext/>'));
+  });
+});
+
+describe('blockquotes', () => {
+  test('parses the quote body recursively', () => {
+    const [quote] = parse('> Text\n> - item\n>\n> ```js\n> let a;\n> ```\n>\n> > inner\n');
+    assert.strictEqual(quote.type, 'blockquote');
+    assert.deepStrictEqual(quote.children.map(child => child.type), ['paragraph', 'list', 'code', 'blockquote']);
+    assert.strictEqual(quote.children[2].content, 'let a;');
+    assert.strictEqual(quote.children[3].children[0].text, 'inner');
+  });
+
+  test('renders inline markup in italics with a left border', async () => {
+    const xml = await documentXml('> Quote **bold** [link](https://x.y)<br>next\n');
+    const quote = paragraphStarting(xml, 'Quote ');
+    assert.strictEqual(quote.text, 'Quote bold linknext');
+    assert.ok(quote.xml.includes('<w:left w:val="single" w:color="CCCCCC" w:sz="24" w:space="8"/>'));
+    assert.ok(quote.xml.includes('<w:ind w:left="720"/>'));
+    assert.ok(quote.xml.includes('<w:b/><w:bCs/><w:i/>'));
+    assert.ok(quote.xml.includes('<w:hyperlink '));
+    assert.ok(quote.xml.includes('<w:br/>'));
+  });
+
+  test('indents nested quotes, lists and code one level deeper', async () => {
+    const xml = await documentXml('## Section\n\n> Outer\n> - item\n> 2. second\n>\n> ```\n> code\n> ```\n>\n> > Inner\n');
+    const indent = (paragraph) => Number(paragraph.xml.match(/<w:ind w:left="(\d+)"/)[1]);
+    assert.strictEqual(indent(paragraphStarting(xml, 'Outer')), 1080);
+    assert.strictEqual(paragraphStarting(xml, '・').text, '・\titem');
+    assert.strictEqual(indent(paragraphStarting(xml, '・')), 1800);
+    assert.strictEqual(paragraphStarting(xml, '2.').text, '2.\tsecond');
+    assert.strictEqual(indent(paragraphStarting(xml, 'code')), 1440);
+    const inner = paragraphStarting(xml, 'Inner');
+    assert.strictEqual(indent(inner), 1440);
+    assert.ok(inner.xml.includes('w:color="CCCCCC" w:sz="24"'));
+  });
+
+  test('keeps headings in quotes out of the outline', async () => {
+    const xml = await documentXml('> ## Quoted heading\n> Text\n');
+    assert.ok(!paragraphStarting(xml, 'Quoted heading').xml.includes('<w:pStyle'));
+  });
+});
@@ -0,0 +1,126 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parse, documentXml, captureConsole } = require('./helpers');
+
+/**
+ * Grid column widths of the tables in document order (the change history table comes first)
+ * @param {string} xml - word/document.xml
+ * @returns {number[][]}
+ */
+function gridColumns(xml) {
+  return [...xml.matchAll(/<w:tblGrid>([\s\S]*?)<\/w:tblGrid>/g)]
+    .map(match => [...match[1].matchAll(/<w:gridCol w:w="(\d+)"\/>/g)].map(col => Number(col[1])));
+}
+
+/**
+ * Cells of the last table: text and XML
+ * @param {string} xml - word/document.xml
+ * @returns {Array<Array<{text: string, xml: string}>>}
+ */
+function lastTableCells(xml) {
+  const table = xml.slice(xml.lastIndexOf('<w:tbl>'));
+  return [...table.matchAll(/<w:tr>([\s\S]*?)<\/w:tr>/g)].map(row =>
+    [...row[1].matchAll(/<w:tc>([\s\S]*?)<\/w:tc>/g)].map(cell => ({
+      text: [...cell[1].matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map(text => text[1]).join(''),
+      xml: cell[1]
+    })));
+}
+
+describe('table layout', () => {
+  test('reads column alignment from the separator row', () => {
+    const [table] = parse('| A | B | C | D |\n|:---|:---:|---:|---|\n| 1 | 2 | 3 | 4 |\n');
+    assert.deepStrictEqual(table.align, ['left', 'center', 'right', null]);
+  });
+
+  test('does not split cells at escaped pipes or pipes in code', () => {
+    const [table] = parse('| Op | Example |\n|---|---|\n| a \\| b | `x || y` |\n');
+    assert.deepStrictEqual(table.rows[1], ['a | b', '`x || y`']);
+  });
+
+  test('aligns the cell paragraphs of each column', async () => {
+    const [, row] = lastTableCells(await documentXml('| A | B | C |\n|:---|:---:|---:|\n| 1 | 2 | 3 |\n'));
+    assert.ok(row[0].xml.includes('<w:jc w:val="left"/>'));
+    assert.ok(row[1].xml.includes('<w:jc w:val="center"/>'));
+    assert.ok(row[2].xml.includes('<w:jc w:val="right"/>'));
+  });
+
+  test('sizes columns by their content', async () => {
+    const xml = await documentXml('| ID | Description |\n|---|---|\n| 1 | A long description of the item |\n');
+    // Content width 9026 twips; weights 4 (minimum) and 30
+    assert.deepStrictEqual(gridColumns(xml).pop(), [1061, 7965]);
+  });
+
+  test('uses the widths of a table-widths directive', async () => {
+    const xml = await documentXml('## Section\n\n<!-- md2mdocx:table-widths 20,50,30 -->\n| A | B | C |\n|---|---|---|\n| 1 | 2 | 3 |\n');
+    // Level 2 headings indent by 360 twips
+    assert.deepStrictEqual(gridColumns(xml).pop(), [1733, 4333, 2600]);
+  });
+
+  test('warns about unusable table-widths directives', async () => {
+    const warnings = await captureConsole('warn', async () => {
+      await documentXml('<!-- md2mdocx:table-widths 20,abc -->\n| A |\n|---|\n| 1 |\n\n<!-- md2mdocx:table-widths 50,50 -->\n\nText\n');
+    });
+    assert.ok(warnings.some(message => message.includes('Invalid table widths "20,abc"')));
+    assert.ok(warnings.some(message => message.includes('not followed by a table')));
+  });
+});
+
+describe('table merges and cell content', () => {
+  test('keeps span markers as table cells', () => {
+    const [table] = parse('| A | B |\n|---|---|\n| x | y |\n| ^^ | << |\n');
+    assert.deepStrictEqual(table.rows, [['A', 'B'], ['x', 'y'], ['^^', '<<']]);
+  });
+
+  test('merges cells marked with ^^ and <<', async () => {
+    const rows = lastTableCells(await documentXml('| A | B | C |\n|---|---|---|\n| x | wide | << |\n| ^^ | y | z |\n'));
+    assert.deepStrictEqual(rows.map(row => row.map(cell => cell.text)), [['A', 'B', 'C'], ['x', 'wide'], ['', 'y', 'z']]);
+    assert.ok(rows[1][0].xml.includes('<w:vMerge w:val="restart"/>'));
+    assert.ok(rows[1][1].xml.includes('<w:gridSpan w:val="2"/>'));
+    assert.ok(rows[2][0].xml.includes('<w:vMerge w:val="continue"/>'));
+  });
+
+  test('does not merge across the header row and keeps escaped markers as text', async () => {
+    const rows = lastTableCells(await documentXml('| A | B |\n|---|---|\n| ^^ | \\<< |\n'));
+    assert.ok(!rows.flat().some(cell => cell.xml.includes('<w:vMerge')));
+    assert.strictEqual(rows[1][1].text, '&lt;&lt;');
+  });
+
+  test('splits cells at <br> into paragraphs and list items', async () => {
+    const [, row] = lastTableCells(await documentXml('| A | B |\n|---|---|\n| one<br>two | - a<br>- b<br>3. c<br>4. d |\n'));
+    assert.strictEqual(row[0].xml.match(/<w:p>/g).length, 2);
+    assert.strictEqual(row[1].text, '・\ta・\tb3.\tc4.\td');
+  });
+
+  test('reads HTML tables with rowspan and colspan', async () => {
+    const [table] = parse('<table><tr><th>H1</th><th>H2</th></tr><tr><td colspan="2">both</td></tr>' +
+      '<tr><td>a<br>b</td><td><ul><li>x</li><li>y</li></ul></td></tr></table>\n');
+    assert.strictEqual(table.header, true);
+    assert.deepStrictEqual(table.rows[1], ['both', '<<']);
+
+    const rows = lastTableCells(await documentXml('<table><tr><td rowspan="2">tall</td><td colspan="2">wide</td></tr>' +
+      '<tr><td>1</td><td>2</td></tr></table>\n'));
+    assert.ok(rows[0][0].xml.includes('<w:vMerge w:val="restart"/>'));
+    assert.ok(rows[0][1].xml.includes('<w:gridSpan w:val="2"/>'));
+    assert.deepStrictEqual(rows[1].map(cell => cell.text), ['', '1', '2']);
+  });
+
+  test('clamps HTML rowspans to the rows of the table', () => {
+    const [table] = parse('<table><tr><th>H</th></tr><tr><td rowspan="5">a</td></tr><tr><td>b</td></tr></table>\n');
+    assert.strictEqual(table.header, true);
+    assert.deepStrictEqual(table.rows, [['H', ''], ['a', ''], ['^^', 'b']]);
+  });
+
+  test('escapes HTML cells that contain only a span marker', () => {
+    const [table] = parse('<table><tr><td>^^</td><td>&lt;&lt;</td></tr></table>\n');
+    assert.deepStrictEqual(table.rows, [['\\^^', '\\<<']]);
+  });
+
+  test('merges table cells without spanning past the table', async () => {
+    const xml = await documentXml(
+      '| A | B |\n|---|---|\n| x | y |\n| ^^ | z |\n\n' +
+      '<table><tr><th>H</th></tr><tr><td rowspan="5">a</td></tr><tr><td>b</td></tr></table>\n'
+    );
+    assert.ok(xml.includes('<w:vMerge w:val="restart"/>'));
+    assert.ok(xml.includes('<w:vMerge w:val="continue"/>') || xml.includes('<w:vMerge/>'));
+  });
+});
@@ -0,0 +1,124 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ConfigError } = require('../md2mdocx.js');
+const { convertToZip, documentXml, withTempDir, writeFiles, captureConsole } = require('./helpers');
+
+/**
+ * Open word/styles.xml and word/document.xml
+ * @param {string|null} markdown - Markdown source
+ * @param {object} options - Options
+ * @param {object} params - Other convert() parameters
+ * @returns {Promise<{heading: string, xml: string}>} - Heading 1 style and document
+ */
+async function themedParts(markdown, options, params) {
+  const zip = await convertToZip(markdown, options, params);
+  const styles = await zip.file('word/styles.xml').async('string');
+  const headings = styles.match(/<w:style [^>]*w:styleId="Heading1">[\s\S]*?<\/w:style>/g);
+  return { heading: headings[headings.length - 1], xml: await zip.file('word/document.xml').async('string') };
+}
+
+const SAMPLE = '# One\n\n```js title="app.js"\nconst a = 1;\n```\n';
+
+describe('theme files', () => {
+  test('overrides colors, fonts and sizes of the extended theme', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'brand.yaml': 'extends: orange\nheadingText: "#1f3864"\ncodeBackground: "EEEEEE"\n' +
+          'fonts: { heading: Arial }\nsizes: { heading1: 40 }\n'
+      });
+      const { heading, xml } = await themedParts(SAMPLE, { theme: path.join(dir, 'brand.yaml') });
+      assert.ok(heading.includes('<w:color w:val="1F3864"/>'));
+      assert.ok(heading.includes('<w:sz w:val="40"/>'));
+      assert.ok(heading.includes('w:ascii="Arial"') && heading.includes('w:eastAsia="Arial"'));
+      assert.ok(xml.includes('w:fill="EEEEEE"'));
+      assert.ok(!xml.includes('w:fill="F5F5F5"'));
+      // Keys that are not overridden come from the extended theme
+      assert.ok(xml.includes('<w:color w:val="B45F06"/>'));
+    });
+  });
+
+  test('resolves extends relative to the extending theme file', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'themes/base.yaml': 'extends: green\ncodeBackground: "111111"\n',
+        'brand/theme.yaml': 'extends: ../themes/base.yaml\ncodeTitle: "222222"\n'
+      });
+      const { xml } = await themedParts(SAMPLE, { theme: path.join(dir, 'brand/theme.yaml') });
+      assert.ok(xml.includes('w:fill="111111"'));
+      assert.ok(xml.includes('w:fill="222222"'));
+      assert.ok(xml.includes('<w:color w:val="38761D"/>'));
+    });
+  });
+
+  test('resolves theme paths against the config file and the Markdown file', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'config/manual.yaml': 'theme: config-theme.yaml\n',
+        'config/config-theme.yaml': 'codeBackground: "333333"\n',
+        'docs/manual.md': `---\ntheme: front-theme.yaml\n---\n\n${SAMPLE}`,
+        'docs/front-theme.yaml': 'codeBackground: "444444"\n'
+      });
+      const fromConfig = await documentXml(SAMPLE, {}, { configPath: path.join(dir, 'config/manual.yaml') });
+      assert.ok(fromConfig.includes('w:fill="333333"'));
+      const fromFrontMatter = await themedParts(null, {}, {
+        inputPath: path.join(dir, 'docs/manual.md'), configPath: path.join(dir, 'config/manual.yaml')
+      });
+      assert.ok(fromFrontMatter.xml.includes('w:fill="444444"'));
+    });
+  });
+
+  test('accepts a theme mapping in the config file', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'manual.yaml': 'theme:\n  extends: base.yaml\n  codeTitle: "666666"\n',
+        'base.yaml': 'extends: orange\ncodeBackground: "555555"\n'
+      });
+      const xml = await documentXml(SAMPLE, {}, { configPath: path.join(dir, 'manual.yaml') });
+      assert.ok(xml.includes('w:fill="555555"'));
+      assert.ok(xml.includes('w:fill="666666"'));
+    });
+  });
+
+  test('warns about unknown keys and invalid values and keeps the extended values', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'brand.yaml': 'codeBackgroud: "111111"\ncodeBackground: "blue"\nsizes: { heading1: -1 }\nfonts: Arial\ntext: 000000\n'
+      });
+      let parts;
+      const warnings = await captureConsole('warn', async () => {
+        parts = await themedParts(SAMPLE, { theme: path.join(dir, 'brand.yaml') });
+      });
+      assert.ok(warnings.some(message => message.includes('Unknown theme key "codeBackgroud"')));
+      assert.ok(warnings.some(message => message.includes('Invalid color for theme key "codeBackground"')));
+      assert.ok(warnings.some(message => message.includes('Invalid size for theme key "sizes.heading1"')));
+      assert.ok(warnings.some(message => message.includes('Theme key "fonts" must be a mapping')));
+      // Unquoted 000000 is read as a number by YAML and still accepted
+      assert.ok(!warnings.some(message => message.includes('"text"')));
+      assert.ok(parts.xml.includes('w:fill="F5F5F5"'));
+      assert.ok(parts.heading.includes('<w:sz w:val="28"/>'));
+    });
+  });
+
+  test('falls back to blue for an unknown theme name', async () => {
+    let xml;
+    const warnings = await captureConsole('warn', async () => {
+      xml = await documentXml(SAMPLE, { theme: 'purple' });
+    });
+    assert.ok(warnings.some(message => message.includes('Unknown theme "purple"')));
+    assert.ok(xml.includes('<w:color w:val="0033B3"/>'));
+  });
+
+  test('throws ConfigError for missing, malformed and circular theme files', async () => {
+    await withTempDir(async (dir) => {
+      writeFiles(dir, {
+        'list.yaml': '- a\n',
+        'a.yaml': 'extends: b.yaml\n',
+        'b.yaml': 'extends: a.yaml\n'
+      });
+      for (const name of ['missing.yaml', 'list.yaml', 'a.yaml']) {
+        await assert.rejects(documentXml(SAMPLE, { theme: path.join(dir, name) }), ConfigError, name);
+      }
+    });
+  });
+});